@@ -13,7 +13,7 @@ describe('Authentication Flow', () => {
     // Fill registration form
     cy.get('[data-cy="username-input"]').type('testuser');
     cy.get('[data-cy="email-input"]').type('test@example.com');
-    cy.get('[data-cy="password-input"]').type('password123');
+    cy.get('[data-cy="password-input"]').type('Sturdy-lantern-42');
     cy.get('[data-cy="register-button"]').click();
 
     // Should redirect to login or dashboard
@@ -22,7 +22,7 @@ describe('Authentication Flow', () => {
     // Login with the registered user
     cy.visit('/login');
     cy.get('[data-cy="email-input"]').type('test@example.com');
-    cy.get('[data-cy="password-input"]').type('password123');
+    cy.get('[data-cy="password-input"]').type('Sturdy-lantern-42');
     cy.get('[data-cy="login-button"]').click();
 
     // Should be logged in
@@ -52,10 +52,14 @@ describe('Authentication Flow', () => {
   it('should allow logout', () => {
     // Login first
     cy.login('test@example.com', 'password123');
+    cy.intercept('POST', '**/api/auth/logout').as('logout');
 
     // Logout
     cy.get('[data-cy="logout-button"]').click();
 
+    // The server should revoke the session
+    cy.wait('@logout').its('response.statusCode').should('eq', 200);
+
     // Should redirect to login
     cy.url().should('include', '/login');
     cy.get('[data-cy="user-menu"]').should('not.exist');
@@ -11,7 +11,7 @@ const { createLogger } = require('./utils/logger');
 const { performanceMonitor } = require('./utils/performance');
 
 // Import middleware
-const { logRequests } = require('./middleware/requestLogger');
+const { assignRequestId, logRequests } = require('./middleware/requestLogger');
 const { authenticate } = require('./middleware/auth');
 const {
   errorHandler,
@@ -21,7 +21,13 @@ const {
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const postRoutes = require('./routes/posts');
+const categoryRoutes = require('./routes/categories');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const feedRoutes = require('./routes/feed');
+const wellKnownRoutes = require('./routes/wellKnown');
 
 // Create Express app
 const app = express();
@@ -51,6 +57,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging and performance monitoring
+app.use(assignRequestId);
 app.use(logRequests);
 app.use(performanceMonitor.requestMonitor.bind(performanceMonitor));
 
@@ -66,8 +73,14 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Test database reset endpoint (for testing only)
 if (process.env.NODE_ENV === 'test' || process.env.NODE_ENV === 'development') {
@@ -0,0 +1,98 @@
+// server/src/config/auth.js - Authentication configuration
+
+const path = require('path');
+
+const authConfig = {
+  // Shared HS256 secret; tokens issued before key rotation was introduced use it
+  jwtSecret: process.env.JWT_SECRET,
+
+  // Directory of "<kid>.pem" RS256/ES256 keys; public-only files verify retired keys
+  jwtKeysDir: process.env.JWT_KEYS_DIR,
+
+  // Key ID to sign with when several private keys are available
+  jwtSigningKeyId: process.env.JWT_SIGNING_KEY_ID,
+
+  // Lifetime of access tokens (any value accepted by jsonwebtoken's expiresIn)
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+
+  // Lifetime of refresh tokens in days
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+
+  // Lifetime of password reset links in minutes
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30,
+
+  // Minimum delay between two password reset emails for the same account
+  passwordResetCooldownSeconds: parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS, 10) || 60,
+
+  // Lifetime of email verification links in hours
+  emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24,
+
+  // Minimum delay between two verification emails for the same account
+  verificationResendCooldownSeconds: parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60,
+
+  // Block post creation for accounts whose email is not verified
+  requireVerifiedEmailForPosts: process.env.REQUIRE_VERIFIED_EMAIL_FOR_POSTS === 'true',
+
+  // Failed logins are counted within this sliding window
+  loginFailureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15,
+
+  // Failed logins on one account before it is temporarily locked
+  loginMaxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5,
+
+  // Duration of an account lockout in minutes
+  accountLockoutMinutes: parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES, 10) || 15,
+
+  // Failed logins from one IP before progressive delays kick in
+  loginIpDelayAfterFailures: parseInt(process.env.LOGIN_IP_DELAY_AFTER_FAILURES, 10) || 5,
+
+  // Upper bound for the progressive delay in seconds
+  loginMaxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 15 * 60,
+
+  // Login requests allowed per IP every 15 minutes by the in-memory limiter
+  loginRateLimit: parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 100,
+
+  // Lifetime of the intermediate token handed out between password and 2FA steps
+  challengeTokenTtl: process.env.CHALLENGE_TOKEN_TTL || '5m',
+
+  // Issuer label shown in authenticator apps
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'MERN Testing',
+
+  // Number of recovery codes generated when 2FA is enabled
+  recoveryCodeCount: parseInt(process.env.RECOVERY_CODE_COUNT, 10) || 10,
+
+  // Admins must enrol in 2FA before they can sign in
+  requireTwoFactorForAdmins: process.env.REQUIRE_ADMIN_2FA !== 'false',
+
+  // Default and maximum lifetime of personal access tokens in days
+  personalAccessTokenTtlDays: parseInt(process.env.PAT_TTL_DAYS, 10) || 30,
+  personalAccessTokenMaxTtlDays: parseInt(process.env.PAT_MAX_TTL_DAYS, 10) || 365,
+
+  // Minimum password length in characters
+  passwordMinLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+
+  // How many of lowercase, uppercase, digits and symbols a password must mix
+  passwordMinCharacterClasses: parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES, 10) || 2,
+
+  // Passwords known from breaches (plain or SHA-1 per line); empty to disable
+  breachedPasswordsFile: process.env.BREACHED_PASSWORDS_FILE
+    ?? path.join(__dirname, '../../data/breached-passwords.txt'),
+
+  // Days between a deletion request and the account being erased
+  accountDeletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30,
+
+  // What happens to the posts of an erased account: "reassign" or "delete"
+  accountDeletionPostPolicy: process.env.ACCOUNT_DELETION_POST_POLICY === 'delete' ? 'delete' : 'reassign',
+
+  // Placeholder account that reassigned posts are attributed to; users cannot
+  // register or rename to these values
+  deletedUserUsername: process.env.DELETED_USER_USERNAME || 'deleted_user',
+  deletedUserEmail: process.env.DELETED_USER_EMAIL || 'deleted-user@example.com',
+
+  // How often accounts past their grace period are erased
+  accountPurgeIntervalMinutes: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60,
+
+  // Base URL of the client, used to build links in emails
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+};
+
+module.exports = authConfig;
@@ -0,0 +1,11 @@
+// server/src/config/comments.js - Comment configuration
+
+const commentConfig = {
+  // Deepest reply level; top-level comments are at depth 0
+  maxDepth: parseInt(process.env.COMMENT_MAX_DEPTH, 10) || 3,
+
+  // Maximum comment length in characters
+  maxLength: parseInt(process.env.COMMENT_MAX_LENGTH, 10) || 2000,
+};
+
+module.exports = commentConfig;
@@ -0,0 +1,42 @@
+// server/src/config/permissions.js - Role to permission mapping
+//
+// Permissions are named "<resource>:<action>" with an optional ":own" or
+// ":any" scope. ":own" only applies to resources the user owns, ":any" to
+// every resource of that type.
+
+const userPermissions = [
+  'post:create',
+  'post:update:own',
+  'post:delete:own',
+  'post:react',
+  'user:read:own',
+  'user:update:own',
+  'user:delete:own',
+  'comment:create',
+  'comment:update:own',
+  'comment:delete:own',
+  // "own" here means comments on posts the user wrote
+  'comment:moderate:own',
+];
+
+const adminPermissions = [
+  ...userPermissions,
+  'post:update:any',
+  'post:delete:any',
+  'comment:delete:any',
+  'comment:moderate:any',
+  'user:read:any',
+  'user:update:any',
+  'user:update-role',
+  'user:deactivate',
+  'user:reset-password',
+  'audit:read',
+  'category:manage',
+];
+
+const rolePermissions = {
+  user: userPermissions,
+  admin: adminPermissions,
+};
+
+module.exports = rolePermissions;
@@ -0,0 +1,8 @@
+// server/src/config/posts.js - Post publishing configuration
+
+const postConfig = {
+  // How often scheduled posts are checked for release, in seconds
+  scheduledPublishIntervalSeconds: parseInt(process.env.SCHEDULED_PUBLISH_INTERVAL_SECONDS, 10) || 60,
+};
+
+module.exports = postConfig;
@@ -0,0 +1,14 @@
+// server/src/config/reactions.js - Post reaction configuration
+
+// Emoji reactions offered next to "like", as a comma-separated list of names
+const emojiTypes = (process.env.REACTION_TYPES || 'love,laugh,wow,sad,angry')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(type => /^[a-z0-9_-]{1,30}$/.test(type) && type !== 'like');
+
+const reactionConfig = {
+  // Every reaction type a user can add to a post; "like" is always available
+  types: ['like', ...new Set(emojiTypes)],
+};
+
+module.exports = reactionConfig;
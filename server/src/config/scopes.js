@@ -0,0 +1,19 @@
+// server/src/config/scopes.js - Personal access token scopes
+//
+// A request made with a personal access token may only use permissions
+// that one of the token's scopes grants, on top of the owner's role.
+// Routes whose permissions no scope grants cannot be used with tokens.
+
+const tokenScopes = {
+  'posts:read': [],
+  'posts:write': [
+    'post:create',
+    'post:update:own',
+    'post:update:any',
+    'post:delete:own',
+    'post:delete:any',
+    'post:react',
+  ],
+};
+
+module.exports = tokenScopes;
@@ -0,0 +1,18 @@
+// server/src/config/views.js - Post view counting configuration
+
+const viewConfig = {
+  // Repeat views of a post by the same viewer within this window count once
+  dedupeWindowMinutes: parseInt(process.env.VIEW_DEDUPE_WINDOW_MINUTES, 10) || 30,
+
+  // Collect increments in memory and write them in batches; when off, every
+  // counted view is written immediately
+  bufferViews: process.env.VIEW_BUFFERING !== 'false',
+
+  // Delay between two writes of buffered increments
+  flushIntervalSeconds: parseInt(process.env.VIEW_FLUSH_INTERVAL_SECONDS, 10) || 10,
+
+  // User agents that never count as views; requests without one are ignored too
+  botPattern: /bot|crawl|spider|slurp|fetch|preview|monitor|headless|lighthouse|curl|wget|python|java\/|go-http|axios/i,
+};
+
+module.exports = viewConfig;
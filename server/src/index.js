@@ -10,9 +10,17 @@ const compression = require('compression');
 const connectDB = require('./config/database');
 const { createLogger } = require('./utils/logger');
 const { performanceMonitor } = require('./utils/performance');
+const { loadKeyring } = require('./utils/keyring');
+const { scheduleJob, stopJobs } = require('./utils/scheduler');
+const { purgeDueAccounts } = require('./utils/accountDeletion');
+const { flushViews } = require('./utils/views');
+const Post = require('./models/Post');
+const authConfig = require('./config/auth');
+const viewConfig = require('./config/views');
+const postConfig = require('./config/posts');
 
 // Import middleware
-const { logRequests } = require('./middleware/requestLogger');
+const { assignRequestId, logRequests } = require('./middleware/requestLogger');
 const { authenticate } = require('./middleware/auth');
 const {
   errorHandler,
@@ -23,7 +31,13 @@ const {
 
 // Import routes (placeholder - these would need to be created)
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const postRoutes = require('./routes/posts');
+const categoryRoutes = require('./routes/categories');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const feedRoutes = require('./routes/feed');
+const wellKnownRoutes = require('./routes/wellKnown');
 
 // Create Express app
 const app = express();
@@ -53,6 +67,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging and performance monitoring
+app.use(assignRequestId);
 app.use(logRequests);
 app.use(performanceMonitor.requestMonitor.bind(performanceMonitor));
 
@@ -68,8 +83,14 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Test database reset endpoint (for testing only)
 if (process.env.NODE_ENV === 'test' || process.env.NODE_ENV === 'development') {
@@ -97,9 +118,17 @@ app.use(errorHandler);
 // Start server function
 const startServer = async () => {
   try {
+    // Fail fast when no JWT signing key is configured
+    loadKeyring();
+
     // Connect to database
     await connectDB();
 
+    // Background jobs
+    scheduleJob('account-purge', authConfig.accountPurgeIntervalMinutes * 60 * 1000, purgeDueAccounts);
+    scheduleJob('view-flush', viewConfig.flushIntervalSeconds * 1000, flushViews);
+    scheduleJob('scheduled-publish', postConfig.scheduledPublishIntervalSeconds * 1000, () => Post.releaseScheduled());
+
     // Start server
     const PORT = process.env.PORT || 5000;
     const server = app.listen(PORT, () => {
@@ -109,8 +138,13 @@ const startServer = async () => {
       });
     });
 
-    // Graceful shutdown
-    gracefulShutdown(server);
+    // Graceful shutdown; buffered views would otherwise be lost
+    gracefulShutdown(server, {
+      cleanup: async () => {
+        stopJobs();
+        await flushViews();
+      },
+    });
 
     return server;
   } catch (error) {
@@ -1,11 +1,83 @@
 // server/src/middleware/auth.js - Authentication middleware
 
-const { verifyToken, extractToken } = require('../utils/auth');
+const { verifyToken, extractToken, isPersonalAccessToken } = require('../utils/auth');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const { can } = require('../utils/permissions');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AuthMiddleware');
+
+// Last-seen and last-used timestamps are written at most this often
+const ACTIVITY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Records activity on a session or token without holding up the request
+ * @param {Object} Model - Mongoose model of the document
+ * @param {Object} doc - The document, with its current timestamp loaded
+ * @param {string} field - The timestamp field
+ * @param {Object} [extra] - Further fields to update alongside
+ */
+const recordActivity = (Model, doc, field, extra = {}) => {
+  const now = Date.now();
+  if (doc[field] && now - doc[field].getTime() < ACTIVITY_INTERVAL_MS) {
+    return;
+  }
+
+  Model.updateOne(
+    {
+      _id: doc._id,
+      $or: [{ [field]: null }, { [field]: { $lt: new Date(now - ACTIVITY_INTERVAL_MS) } }],
+    },
+    { [field]: new Date(now), ...extra }
+  ).catch(error => {
+    logger.error('Failed to record activity', { model: Model.modelName, id: doc._id, error: error.message });
+  });
+};
+
+/**
+ * Authenticates a request made with a personal access token
+ */
+const authenticatePersonalAccessToken = async (token, req, res, next) => {
+  let record;
+  let account;
+  try {
+    record = await PersonalAccessToken.findActiveByToken(token);
+    if (!record) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    account = await User.findById(record.user).select('isActive role username');
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!account || !account.isActive) {
+    return res.status(401).json({ error: 'Account is deactivated' });
+  }
+
+  recordActivity(PersonalAccessToken, record, 'lastUsedAt', { lastUsedIp: req.ip });
+
+  req.user = {
+    userId: String(account._id),
+    username: account.username,
+    role: account.role,
+    scopes: record.scopes,
+    tokenId: String(record._id),
+  };
+  req.can = (permission, resource) => can(req.user, permission, resource);
+  next();
+};
 
 /**
- * Middleware to authenticate requests using JWT tokens
+ * Middleware to authenticate requests using JWT access tokens or
+ * personal access tokens
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
+  let decoded;
   try {
     const authHeader = req.headers.authorization;
     const token = extractToken(authHeader);
@@ -14,12 +86,120 @@ const authenticate = (req, res, next) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    if (isPersonalAccessToken(token)) {
+      return authenticatePersonalAccessToken(token, req, res, next);
+    }
+
+    decoded = verifyToken(token);
   } catch (error) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
+
+  // Challenge tokens only complete a login step; they are not access tokens
+  if (decoded.purpose) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  let account;
+  let session;
+  try {
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
+    // Resolve the account per request so deactivation and role changes apply immediately
+    [account, session] = await Promise.all([
+      User.findById(decoded.userId).select('isActive role tokenVersion'),
+      decoded.sid && Session.findById(decoded.sid).select('user revokedAt lastSeenAt'),
+    ]);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!account || !account.isActive) {
+    return res.status(401).json({ error: 'Account is deactivated' });
+  }
+
+  // Tokens issued before the last password change are no longer valid
+  if ((decoded.tv || 0) !== (account.tokenVersion || 0)) {
+    return res.status(401).json({ error: 'Token has been revoked' });
+  }
+
+  if (decoded.sid) {
+    if (!session || session.revokedAt || String(session.user) !== String(decoded.userId)) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+    recordActivity(Session, session, 'lastSeenAt', { ip: req.ip });
+  }
+
+  req.user = { ...decoded, role: account.role };
+  req.can = (permission, resource) => can(req.user, permission, resource);
+  next();
+};
+
+/**
+ * Middleware accepting either a regular access token or a challenge token
+ * issued for the given purpose (sets req.challenge for the latter)
+ */
+const authenticateOrChallenge = (purpose) => {
+  return (req, res, next) => {
+    const token = extractToken(req.headers.authorization);
+
+    try {
+      const decoded = token && verifyToken(token);
+      if (decoded && decoded.purpose === purpose) {
+        req.user = decoded;
+        req.challenge = true;
+        return next();
+      }
+    } catch (error) {
+      // Fall through so authenticate reports the error
+    }
+
+    return authenticate(req, res, next);
+  };
+};
+
+/**
+ * Middleware authenticating the request when credentials are sent, for
+ * public endpoints that personalise their response for signed-in users
+ */
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return authenticate(req, res, next);
+};
+
+/**
+ * Middleware refusing personal access tokens, for endpoints that manage the
+ * login session or account security and need a real sign-in
+ */
+const rejectPersonalAccessTokens = (req, res, next) => {
+  if (isPersonalAccessToken(extractToken(req.headers.authorization))) {
+    return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
+  }
+  next();
+};
+
+/**
+ * Middleware to block unverified accounts when the verification policy is on
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  if (!authConfig.requireVerifiedEmailForPosts) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('emailVerified');
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({ error: 'Email verification required' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
@@ -36,6 +216,38 @@ const requireOwnership = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware factory that loads a resource by route param and checks that
+ * the current user may act on it (owner, or a role with the ":any" scope).
+ * The loaded document is attached to req[as] for the route handler.
+ * @param {Object} Model - Mongoose model of the resource
+ * @param {Object} options - { permission, param = 'id', as, select }
+ */
+const requireResourceOwnership = (Model, { permission, param = 'id', as, select } = {}) => {
+  const key = as || Model.modelName.toLowerCase();
+
+  return async (req, res, next) => {
+    try {
+      let query = Model.findById(req.params[param]);
+      if (select) query = query.select(select);
+      const resource = await query;
+
+      if (!resource) {
+        return res.status(404).json({ error: `${Model.modelName} not found` });
+      }
+
+      if (!can(req.user, permission, resource)) {
+        return res.status(403).json({ error: 'Access denied. Not the owner.' });
+      }
+
+      req[key] = resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Middleware for role-based access control
  */
@@ -53,6 +265,25 @@ const requireRole = (role) => {
   };
 };
 
+/**
+ * Middleware for permission-based access control. Checks permissions that
+ * do not depend on a specific resource; use req.can() inside handlers for
+ * ownership rules.
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user || !req.user.role) {
+      return res.status(403).json({ error: 'Role information not found' });
+    }
+
+    if (!can(req.user, permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+  };
+};
+
 /**
  * Middleware to validate request body
  */
@@ -104,8 +335,14 @@ const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 
 module.exports = {
   authenticate,
+  authenticateOrChallenge,
+  optionalAuthenticate,
+  rejectPersonalAccessTokens,
+  requireVerifiedEmail,
   requireOwnership,
+  requireResourceOwnership,
   requireRole,
+  requirePermission,
   validateBody,
   rateLimit,
 };
\ No newline at end of file
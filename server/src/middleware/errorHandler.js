@@ -78,13 +78,25 @@ const asyncHandler = (fn) => (req, res, next) => {
 
 /**
  * Graceful shutdown handler
+ * @param {Object} server - The HTTP server
+ * @param {Object} [options] - { cleanup } async function run once the server
+ *   stops accepting requests and before the process exits
  */
-const gracefulShutdown = (server) => {
+const gracefulShutdown = (server, { cleanup } = {}) => {
   const shutdown = (signal) => {
     errorLogger.info(`Received ${signal}, shutting down gracefully`);
 
-    server.close(() => {
+    server.close(async () => {
       errorLogger.info('Server closed successfully');
+
+      if (cleanup) {
+        try {
+          await cleanup();
+        } catch (error) {
+          errorLogger.error('Shutdown cleanup failed', { error: error.message });
+        }
+      }
+
       process.exit(0);
     });
 
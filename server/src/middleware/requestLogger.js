@@ -1,9 +1,23 @@
 // server/src/middleware/requestLogger.js - Request logging middleware
 
+const crypto = require('crypto');
 const { createLogger } = require('../utils/logger');
 
 const requestLogger = createLogger('RequestLogger');
 
+// IDs set by a trusted proxy are kept when they look sane
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * Middleware to give every request an ID, echoed in the X-Request-Id header
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
 /**
  * Middleware to log HTTP requests with timing
  */
@@ -12,6 +26,7 @@ const logRequests = (req, res, next) => {
 
   // Log the incoming request
   requestLogger.http(`Incoming ${req.method} ${req.url}`, {
+    requestId: req.id,
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     headers: req.headers,
@@ -57,6 +72,7 @@ const logDatabaseOperations = (req, res, next) => {
 };
 
 module.exports = {
+  assignRequestId,
   logRequests,
   logDatabaseOperations,
 };
\ No newline at end of file
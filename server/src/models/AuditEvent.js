@@ -0,0 +1,99 @@
+// server/src/models/AuditEvent.js - Append-only security audit log model
+
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'login',
+  'logout',
+  'password.change',
+  'password.reset',
+  'session.revoke',
+  'token.create',
+  'token.revoke',
+  'token.reuse',
+  'account.delete-request',
+  'user.role-change',
+  'user.deactivate',
+  'user.activate',
+  'user.force-password-reset',
+  'post.delete',
+];
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required'],
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success',
+  },
+  // User who performed the action; null for anonymous attempts
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Kept as recorded so the event stays readable after the account is gone
+  actorUsername: {
+    type: String,
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'post', 'session', 'token'],
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+    maxlength: 512,
+  },
+  requestId: {
+    type: String,
+  },
+  // Action specific context, e.g. the previous and new role
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for the admin query API
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ targetId: 1, createdAt: -1 });
+
+// Events are never changed or removed through the application
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+], rejectChange);
+
+auditEventSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
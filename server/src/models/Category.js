@@ -0,0 +1,83 @@
+// server/src/models/Category.js - Post category model
+
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [1, 'Name cannot be empty'],
+    maxlength: [50, 'Name cannot exceed 50 characters'],
+  },
+  slug: {
+    type: String,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  // Every category above this one, root first; lets a single query find all descendants
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  }],
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, name: 1 });
+
+// Static method to derive a slug from a name
+categorySchema.statics.slugify = function(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+};
+
+// Pre-validate middleware to generate slug
+categorySchema.pre('validate', function(next) {
+  if (this.isModified('name') && !this.slug && this.name) {
+    this.slug = this.constructor.slugify(this.name);
+  }
+  next();
+});
+
+// Static method to get the IDs of a category and everything nested below it
+categorySchema.statics.findSubtreeIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('_id').lean();
+  return [categoryId, ...descendants.map(category => category._id)];
+};
+
+// Instance method to move the category under another parent (or to the
+// root with null), keeping the ancestors of the whole subtree in sync
+categorySchema.methods.moveTo = async function(parent) {
+  const previousPath = [...this.ancestors, this._id];
+  const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  this.parent = parent ? parent._id : null;
+  this.ancestors = ancestors;
+  await this.save();
+
+  // Descendants keep their path below this category and get the new prefix
+  const descendants = await this.constructor.find({ ancestors: this._id });
+  await Promise.all(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(previousPath.length);
+    descendant.ancestors = [...ancestors, this._id, ...below];
+    return descendant.save();
+  }));
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,117 @@
+// server/src/models/Comment.js - Threaded post comment model
+
+const mongoose = require('mongoose');
+const commentConfig = require('../config/comments');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required'],
+  },
+  // Comment this one replies to; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  // Top-level comment of the thread; null for top-level comments
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Removed when the comment is deleted
+  content: {
+    type: String,
+    trim: true,
+    maxlength: [commentConfig.maxLength, `Comment cannot exceed ${commentConfig.maxLength} characters`],
+  },
+  editedAt: {
+    type: Date,
+  },
+  // Deleted comments stay as placeholders so their replies keep their place
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  hiddenAt: {
+    type: Date,
+    default: null,
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+// Comments count towards Post.commentCount while neither deleted nor hidden.
+// Every change of that state goes through a conditional update, so the
+// counter is adjusted exactly once even when requests race.
+
+const adjustCommentCount = (postId, delta) => {
+  return mongoose.model('Post').updateOne({ _id: postId }, { $inc: { commentCount: delta } });
+};
+
+// Static method to add a comment and count it
+commentSchema.statics.add = async function(fields) {
+  const comment = await this.create(fields);
+  await adjustCommentCount(comment.post, 1);
+  return comment;
+};
+
+// Static method to replace a comment by a placeholder
+commentSchema.statics.softDelete = async function(commentId) {
+  const previous = await this.findOneAndUpdate(
+    { _id: commentId, deletedAt: null },
+    { $set: { deletedAt: new Date() }, $unset: { content: 1 } }
+  );
+
+  if (!previous) return false;
+
+  if (!previous.hiddenAt) {
+    await adjustCommentCount(previous.post, -1);
+  }
+  return true;
+};
+
+// Static method to hide or show a comment as a moderator
+commentSchema.statics.setHidden = async function(commentId, hidden, moderatorId) {
+  const previous = await this.findOneAndUpdate(
+    { _id: commentId, deletedAt: null, hiddenAt: hidden ? null : { $ne: null } },
+    hidden
+      ? { $set: { hiddenAt: new Date(), hiddenBy: moderatorId } }
+      : { $set: { hiddenAt: null }, $unset: { hiddenBy: 1 } }
+  );
+
+  if (!previous) return false;
+
+  await adjustCommentCount(previous.post, hidden ? -1 : 1);
+  return true;
+};
+
+// Static method to rebuild the comment counter of a post from scratch
+commentSchema.statics.recount = async function(postId) {
+  const count = await this.countDocuments({ post: postId, deletedAt: null, hiddenAt: null });
+  await mongoose.model('Post').updateOne({ _id: postId }, { commentCount: count });
+  return count;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,26 @@
+// server/src/models/Follow.js - Reader to author follow model
+
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Follower is required'],
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Followed user is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+// A user follows an author at most once; also serves "who do I follow"
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+// Follower counts and lists of an author
+followSchema.index({ following: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
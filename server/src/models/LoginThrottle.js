@@ -0,0 +1,34 @@
+// server/src/models/LoginThrottle.js - Failed login tracking model
+
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  // "account:<userId>" or "ip:<address>"
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB forget counters once the failure window has passed
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,82 @@
+// server/src/models/PersonalAccessToken.js - Personal access token model
+
+const mongoose = require('mongoose');
+const tokenScopes = require('../config/scopes');
+const { hashToken } = require('../utils/auth');
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters'],
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false,
+  },
+  // Leading characters of the token, shown so users can tell tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.keys(tokenScopes),
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required'],
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better query performance
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+
+// Virtual for active state
+personalAccessTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to find the active token a plain token string belongs to
+personalAccessTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Remove the hash from JSON output
+personalAccessTokenSchema.methods.toJSON = function() {
+  const tokenObject = this.toObject();
+  delete tokenObject.tokenHash;
+  return tokenObject;
+};
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -2,6 +2,17 @@
 
 const mongoose = require('mongoose');
 
+const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// Statuses each status may move to. A scheduled post is published by the
+// scheduler once its publishedAt is reached.
+const STATUS_TRANSITIONS = {
+  draft: ['scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'scheduled', 'published', 'archived'],
+  published: ['draft', 'archived'],
+  archived: ['draft', 'scheduled', 'published'],
+};
+
 const postSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -41,29 +52,46 @@ const postSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: STATUSES,
     default: 'published',
   },
+  // Mirrors status === 'published'; kept for existing queries
   isPublished: {
     type: Boolean,
     default: true,
   },
+  // Release time for scheduled posts; null while a post is a draft
   publishedAt: {
     type: Date,
-    default: Date.now,
+    default: function() {
+      return this.status === 'published' ? new Date() : null;
+    },
   },
   viewCount: {
     type: Number,
     default: 0,
   },
+  // Number of "like" reactions, kept alongside reactionCounts.like
   likeCount: {
     type: Number,
     default: 0,
   },
+  // Reactions per type; only changed with $inc
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+  // Comments that are neither deleted nor hidden; only changed with $inc
   commentCount: {
     type: Number,
     default: 0,
   },
+  // Set by the author or a moderator to stop new comments and edits
+  commentsLocked: {
+    type: Boolean,
+    default: false,
+  },
   featured: {
     type: Boolean,
     default: false,
@@ -85,9 +113,12 @@ const postSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
+// _id breaks ties between posts published in the same millisecond, so
+// listings sorted by { publishedAt: -1, _id: -1 } need no in-memory sort
 postSchema.index({ author: 1, createdAt: -1 });
+postSchema.index({ author: 1, publishedAt: -1, _id: -1 });
 postSchema.index({ category: 1, createdAt: -1 });
-postSchema.index({ status: 1, publishedAt: -1 });
+postSchema.index({ status: 1, publishedAt: -1, _id: -1 });
 postSchema.index({ slug: 1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ featured: 1, publishedAt: -1 });
@@ -127,9 +158,10 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-// Pre-save middleware to set publishedAt
-postSchema.pre('save', function(next) {
-  if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
+// Pre-validate middleware to keep isPublished and publishedAt in line with status
+postSchema.pre('validate', function(next) {
+  this.isPublished = this.status === 'published';
+  if (this.status === 'published' && !this.publishedAt) {
     this.publishedAt = new Date();
   }
   next();
@@ -152,10 +184,25 @@ postSchema.statics.findByAuthor = function(authorId, status = 'published') {
   });
 };
 
-// Instance method to increment view count
-postSchema.methods.incrementViewCount = function() {
-  this.viewCount += 1;
-  return this.save({ validateBeforeSave: false });
+// Static method to publish scheduled posts whose time has come
+postSchema.statics.releaseScheduled = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'scheduled', publishedAt: { $lte: now } },
+    { status: 'published', isPublished: true }
+  );
+  return result.modifiedCount;
+};
+
+// Instance method to check whether the workflow allows a status change
+postSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Instance method to increment view count; reads go through utils/views,
+// which deduplicates and batches increments
+postSchema.methods.incrementViewCount = function(by = 1) {
+  this.viewCount += by;
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { viewCount: by } });
 };
 
 // Instance method to toggle featured status
@@ -164,4 +211,6 @@ postSchema.methods.toggleFeatured = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+postSchema.statics.STATUSES = STATUSES;
+
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,83 @@
+// server/src/models/Reaction.js - Per-user post reaction model
+
+const mongoose = require('mongoose');
+const reactionConfig = require('../config/reactions');
+
+const reactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  type: {
+    type: String,
+    enum: reactionConfig.types,
+    required: [true, 'Reaction type is required'],
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// A user reacts at most once per type, so repeated requests cannot double count
+reactionSchema.index({ post: 1, user: 1, type: 1 }, { unique: true });
+reactionSchema.index({ user: 1, createdAt: -1 });
+
+// Post.reactionCounts and Post.likeCount only move when a reaction is
+// actually inserted or removed, so they stay in step with this collection.
+
+const adjustReactionCount = (postId, type, delta) => {
+  const inc = { [`reactionCounts.${type}`]: delta };
+  if (type === 'like') inc.likeCount = delta;
+
+  return mongoose.model('Post').updateOne({ _id: postId }, { $inc: inc });
+};
+
+// Static method to add a reaction; resolves to false when it already existed
+reactionSchema.statics.react = async function(postId, userId, type) {
+  const key = { post: postId, user: userId, type };
+
+  let result;
+  try {
+    result = await this.updateOne(key, { $setOnInsert: key }, { upsert: true });
+  } catch (error) {
+    // A concurrent request inserted the same reaction first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  if (!result.upsertedCount) return false;
+
+  await adjustReactionCount(postId, type, 1);
+  return true;
+};
+
+// Static method to remove a reaction; resolves to false when there was none
+reactionSchema.statics.unreact = async function(postId, userId, type) {
+  const result = await this.deleteOne({ post: postId, user: userId, type });
+
+  if (!result.deletedCount) return false;
+
+  await adjustReactionCount(postId, type, -1);
+  return true;
+};
+
+// Static method to get the reaction types a user added, keyed by post ID
+reactionSchema.statics.findViewerReactions = async function(postIds, userId) {
+  const reactions = await this.find({ post: { $in: postIds }, user: userId })
+    .select('post type')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const byPost = new Map(postIds.map(id => [String(id), []]));
+  for (const reaction of reactions) {
+    byPost.get(String(reaction.post)).push(reaction.type);
+  }
+  return byPost;
+};
+
+module.exports = mongoose.model('Reaction', reactionSchema);
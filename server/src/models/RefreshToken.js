@@ -0,0 +1,61 @@
+// server/src/models/RefreshToken.js - Refresh token model
+
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+  // Every token issued by rotating from the same login shares a family
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+  // Access token issued alongside this refresh token, denylisted on revocation
+  accessJti: {
+    type: String,
+  },
+  accessExpiresAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'reuse', 'logout', 'revoked'],
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active state
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,52 @@
+// server/src/models/RevokedToken.js - Access token denylist model
+
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reason: {
+    type: String,
+    enum: ['logout', 'revoked'],
+    default: 'revoked',
+  },
+  // Entries are only needed until the token would have expired anyway
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB remove entries once the token has expired
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check whether a token ID is denylisted
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  if (!jti) return false;
+  return !!(await this.exists({ jti }));
+};
+
+// Static method to denylist token IDs, ignoring ones already present
+revokedTokenSchema.statics.revoke = async function(entries) {
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(entry => entry.jti);
+  if (list.length === 0) return;
+
+  await this.bulkWrite(list.map(entry => ({
+    updateOne: {
+      filter: { jti: entry.jti },
+      update: { $setOnInsert: entry },
+      upsert: true,
+    },
+  })));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
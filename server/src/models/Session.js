@@ -0,0 +1,51 @@
+// server/src/models/Session.js - Login session model
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  // Human-readable device label derived from the user agent, e.g. "Chrome on Windows"
+  device: {
+    type: String,
+    maxlength: 100,
+  },
+  userAgent: {
+    type: String,
+    maxlength: 512,
+  },
+  ip: {
+    type: String,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Extended every time the session's refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
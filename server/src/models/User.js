@@ -2,6 +2,8 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRefreshToken, hashToken } = require('../utils/auth');
+const authConfig = require('../config/auth');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -36,17 +38,108 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Set on the placeholder account that content of erased users moves to
+  isSystem: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
+  emailVerificationSentAt: {
+    type: Date,
+  },
+  // New address awaiting verification; replaces email once confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret awaiting confirmation during enrolment
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP time step, to refuse replayed codes
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+  },
   lastLogin: {
     type: Date,
   },
+  // Embedded in access tokens; bumping it invalidates every token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  // Set by an administrator; login is refused until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false,
+  },
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
+  passwordResetSentAt: {
+    type: Date,
+  },
+  // Set when the user asks to delete their account; erased once it has passed
+  deletionScheduledFor: {
+    type: Date,
+    default: null,
+  },
   profile: {
-    firstName: String,
-    lastName: String,
+    firstName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'First name cannot exceed 50 characters'],
+    },
+    lastName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Last name cannot exceed 50 characters'],
+    },
     bio: {
       type: String,
       maxlength: [500, 'Bio cannot exceed 500 characters'],
     },
-    avatar: String,
+    avatar: {
+      type: String,
+      trim: true,
+      maxlength: [2048, 'Avatar URL cannot exceed 2048 characters'],
+    },
   },
 }, {
   timestamps: true,
@@ -66,6 +159,7 @@ userSchema.virtual('fullName').get(function() {
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ deletionScheduledFor: 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -93,6 +187,67 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Instance method to create a single-use password reset token.
+// Only the hash is stored; the plain token is returned for delivery.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRefreshToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + authConfig.passwordResetTtlMinutes * 60 * 1000);
+  this.passwordResetSentAt = new Date();
+  return token;
+};
+
+// Static method to find the user a valid password reset token belongs to
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
+// Instance method to create an email verification token.
+// Only the hash is stored; the plain token is returned for delivery.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRefreshToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + authConfig.emailVerificationTtlHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Static method to find the user a valid email verification token belongs to
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Static method to accept a TOTP time step at most once per user
+userSchema.statics.consumeTotpStep = async function(userId, step) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+      ],
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Static method to redeem a recovery code; each code works once
+userSchema.statics.consumeRecoveryCode = async function(userId, code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  const result = await this.updateOne(
+    { _id: userId, 'twoFactor.recoveryCodes': hashToken(normalized) },
+    { $pull: { 'twoFactor.recoveryCodes': hashToken(normalized) } }
+  );
+  return result.modifiedCount === 1;
+};
+
 // Static method to find user by email or username
 userSchema.statics.findByEmailOrUsername = function(identifier) {
   return this.findOne({
@@ -107,6 +262,16 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
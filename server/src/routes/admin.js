@@ -0,0 +1,329 @@
+// server/src/routes/admin.js - Admin user management routes
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { revokeAllUserTokens } = require('../utils/tokens');
+const { sendPasswordResetEmail } = require('../utils/emails');
+const { recordAuditEvent } = require('../utils/audit');
+const { createLogger } = require('../utils/logger');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+const logger = createLogger('AdminRoutes');
+
+// Every admin route requires an authenticated user
+router.use(authenticate);
+
+// Validation middleware
+const userIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+const roleValidation = [
+  ...userIdValidation,
+  body('role')
+    .isIn(['user', 'admin'])
+    .withMessage('Role must be either user or admin'),
+];
+
+/**
+ * Writes a structured log record and an audit event for an admin action
+ */
+const logAdminAction = (req, action, target, details = {}) => {
+  logger.info(`Admin action: ${action}`, {
+    action,
+    actorId: req.user.userId,
+    actorUsername: req.user.username,
+    targetId: target._id,
+    targetUsername: target.username,
+    ip: req.ip,
+    ...details,
+  });
+
+  return recordAuditEvent(req, action, {
+    target: { type: 'user', id: target._id },
+    details: { targetUsername: target.username, ...details },
+  });
+};
+
+/**
+ * Escapes user input for use inside a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/admin/users
+// @desc    Search users with pagination
+// @access  Private (Admin)
+router.get('/users', requirePermission('user:read:any'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('q').optional().isString().trim().isLength({ max: 100 }),
+  query('role').optional().isIn(['user', 'admin']),
+  query('isActive').optional().isBoolean().toBoolean(),
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { page = 1, limit = 20, q, role, isActive } = req.query;
+
+  // Build query
+  const filter = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    filter.$or = [{ username: pattern }, { email: pattern }];
+  }
+  if (role) filter.role = role;
+  if (isActive !== undefined) filter.isActive = isActive;
+
+  const skip = (page - 1) * limit;
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  logger.debug('Admin user search', { actorId: req.user.userId, q, count: users.length, total });
+
+  res.json({
+    users,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+}));
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a single user
+// @access  Private (Admin)
+router.get('/users/:id', requirePermission('user:read:any'), userIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ user });
+}));
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role and sign them out everywhere
+// @access  Private (Admin)
+router.patch('/users/:id/role', requirePermission('user:update-role'), roleValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  if (req.params.id === String(req.user.userId)) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (user.isSystem) {
+    return res.status(409).json({ error: 'System accounts cannot be modified' });
+  }
+
+  const previousRole = user.role;
+  user.role = req.body.role;
+
+  // Credentials issued under the old role are invalidated, so a promoted
+  // admin has to sign in again and go through the admin 2FA requirement
+  if (user.role !== previousRole) {
+    user.tokenVersion += 1;
+  }
+  await user.save({ validateBeforeSave: false });
+
+  if (user.role !== previousRole) {
+    await revokeAllUserTokens(user._id);
+    await PersonalAccessToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+  }
+
+  await logAdminAction(req, 'user.role-change', user, { previousRole, role: user.role });
+
+  res.json({ user });
+}));
+
+// @route   POST /api/admin/users/:id/deactivate
+// @desc    Deactivate a user and sign them out everywhere
+// @access  Private (Admin)
+router.post('/users/:id/deactivate', requirePermission('user:deactivate'), userIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  if (req.params.id === String(req.user.userId)) {
+    return res.status(400).json({ error: 'You cannot deactivate your own account' });
+  }
+
+  const user = await User.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  await revokeAllUserTokens(user._id);
+
+  await logAdminAction(req, 'user.deactivate', user);
+
+  res.json({ user });
+}));
+
+// @route   POST /api/admin/users/:id/activate
+// @desc    Reactivate a user
+// @access  Private (Admin)
+router.post('/users/:id/activate', requirePermission('user:deactivate'), userIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (user.isSystem) {
+    return res.status(409).json({ error: 'System accounts cannot be modified' });
+  }
+
+  user.isActive = true;
+  await user.save({ validateBeforeSave: false });
+
+  await logAdminAction(req, 'user.activate', user);
+
+  res.json({ user });
+}));
+
+// @route   POST /api/admin/users/:id/reset-password
+// @desc    Force a password reset: sign the user out and email a reset link
+// @access  Private (Admin)
+router.post('/users/:id/reset-password', requirePermission('user:reset-password'), userIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (user.isSystem) {
+    return res.status(409).json({ error: 'System accounts cannot be modified' });
+  }
+
+  const token = user.createPasswordResetToken();
+  user.passwordResetRequired = true;
+  await user.save({ validateBeforeSave: false });
+
+  await revokeAllUserTokens(user._id);
+  await sendPasswordResetEmail(user, token, { forced: true });
+
+  await logAdminAction(req, 'user.force-password-reset', user);
+
+  res.json({ message: 'Password reset required and email sent' });
+}));
+
+// @route   GET /api/admin/audit-events
+// @desc    Query the security audit log with pagination
+// @access  Private (Admin)
+router.get('/audit-events', requirePermission('audit:read'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('target').optional().isMongoId().withMessage('Invalid target ID'),
+  query('action').optional().isIn(AuditEvent.ACTIONS).withMessage('Unknown action'),
+  query('outcome').optional().isIn(['success', 'failure']),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date').toDate(),
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { page = 1, limit = 50, actor, target, action, outcome, from, to } = req.query;
+
+  // Build query
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (target) filter.targetId = target;
+  if (action) filter.action = action;
+  if (outcome) filter.outcome = outcome;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    AuditEvent.countDocuments(filter),
+  ]);
+
+  res.json({
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+}));
+
+module.exports = router;
@@ -1,42 +1,114 @@
 // server/src/routes/auth.js - Authentication routes
 
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken } = require('../utils/auth');
+const {
+  startSession,
+  rotateRefreshToken,
+  logout,
+  revokeAllUserTokens,
+} = require('../utils/tokens');
+const { generateChallengeToken, compareDummyPassword } = require('../utils/auth');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeVerification,
+} = require('../utils/emails');
+const authConfig = require('../config/auth');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { recordAuditEvent } = require('../utils/audit');
+const { isReservedUsername, isReservedEmail } = require('../utils/accountDeletion');
 const { createLogger } = require('../utils/logger');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../utils/loginThrottle');
+const { authenticate, rejectPersonalAccessTokens, rateLimit } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const router = express.Router();
 const logger = createLogger('AuthRoutes');
 
+// Sessions and credentials are managed with a real sign-in only
+router.use(rejectPersonalAccessTokens);
+
+// Coarse per-IP limit for endpoints that are attractive to brute-force
+const authRateLimit = rateLimit(authConfig.loginRateLimit, 15 * 60 * 1000);
+
 // Validation middleware
 const registerValidation = [
   body('username')
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be between 3 and 30 characters')
     .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
+    .withMessage('Username can only contain letters, numbers, and underscores')
+    .custom(value => !isReservedUsername(value))
+    .withMessage('This username is reserved'),
   body('email')
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email'),
+    .withMessage('Please provide a valid email')
+    .custom(value => !isReservedEmail(value))
+    .withMessage('This email address is reserved'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+    .isString()
+    .withMessage('Password is required'),
 ];
 
+// Accepts an email or a username as "identifier" ("email" is still understood)
+const isEmailIdentifier = value => typeof value === 'string' && value.includes('@');
+
 const loginValidation = [
-  body('email')
+  body('identifier')
+    .customSanitizer((value, { req }) => (value === undefined ? req.body.email : value))
+    .isString()
+    .withMessage('Email or username is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Email or username is required'),
+  body('identifier')
+    .if(isEmailIdentifier)
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
+  body('identifier')
+    .if(value => typeof value === 'string' && value !== '' && !isEmailIdentifier(value))
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
   body('password')
     .notEmpty()
     .withMessage('Password is required'),
 ];
 
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isString()
+    .withMessage('Password is required'),
+];
+
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+];
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -52,6 +124,15 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
 
   const { username, email, password } = req.body;
 
+  const passwordErrors = validatePassword(password, { username, email });
+  if (passwordErrors.length > 0) {
+    logger.warn('Registration failed: Password policy', { rules: passwordErrors.map(error => error.rule) });
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: passwordErrors
+    });
+  }
+
   // Check if user already exists
   const existingUser = await User.findOne({
     $or: [{ email }, { username }]
@@ -64,20 +145,19 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
     });
   }
 
-  // Hash password
-  const hashedPassword = await bcrypt.hash(password, 12);
-
-  // Create user
+  // Create user (the model hashes the password on save)
   const user = new User({
     username,
     email,
-    password: hashedPassword,
+    password,
   });
 
+  const verificationToken = user.createEmailVerificationToken();
   await user.save();
+  await sendVerificationEmail(user, verificationToken);
 
-  // Generate token
-  const token = generateToken(user);
+  // Generate tokens
+  const { token, refreshToken } = await startSession(user, req);
 
   logger.info('User registered successfully', { userId: user._id, username, email });
 
@@ -86,15 +166,17 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
       id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
     },
     token,
+    refreshToken,
   });
 }));
 
 // @route   POST /api/auth/login
 // @desc    Authenticate user and get token
 // @access  Public
-router.post('/login', loginValidation, asyncHandler(async (req, res) => {
+router.post('/login', authRateLimit, loginValidation, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     logger.warn('Login validation failed', { errors: errors.array() });
@@ -104,41 +186,324 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
     });
   }
 
-  const { email, password } = req.body;
+  const { identifier, password } = req.body;
 
   // Find user
-  const user = await User.findOne({ email });
+  const user = await User.findByEmailOrUsername(identifier).select('+password');
+
+  // Refuse attempts while the account is locked or the IP is cooling down
+  const blocked = await checkLoginAllowed({ ip: req.ip, userId: user && user._id });
+  if (blocked) {
+    logger.warn('Login throttled', { identifier, ip: req.ip, status: blocked.status });
+    await recordAuditEvent(req, 'login', {
+      outcome: 'failure',
+      actor: user,
+      details: { identifier, reason: blocked.status === 423 ? 'locked' : 'throttled' },
+    });
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(blocked.status).json({
+      error: blocked.error,
+      retryAfter: blocked.retryAfter,
+    });
+  }
+
+  // Unknown accounts still pay for a bcrypt comparison so response times
+  // do not reveal which identifiers exist
+  const isPasswordValid = user
+    ? await user.comparePassword(password)
+    : await compareDummyPassword(password);
+
   if (!user) {
-    logger.warn('Login failed: User not found', { email });
+    logger.warn('Login failed: User not found', { identifier });
+    await recordLoginFailure({ ip: req.ip });
+    await recordAuditEvent(req, 'login', { outcome: 'failure', details: { identifier, reason: 'unknown-user' } });
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
-  // Check password
-  const isPasswordValid = await bcrypt.compare(password, user.password);
   if (!isPasswordValid) {
-    logger.warn('Login failed: Invalid password', { userId: user._id, email });
+    logger.warn('Login failed: Invalid password', { userId: user._id, identifier });
+    const { locked, lockedUntil } = await recordLoginFailure({ ip: req.ip, user });
+    await recordAuditEvent(req, 'login', {
+      outcome: 'failure',
+      actor: user,
+      details: { identifier, reason: 'invalid-password', locked },
+    });
+
+    if (locked) {
+      const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({
+        error: 'Account temporarily locked due to too many failed login attempts',
+        retryAfter,
+      });
+    }
+
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
-  // Generate token
-  const token = generateToken(user);
+  if (!user.isActive) {
+    logger.warn('Login refused: Account deactivated', { userId: user._id });
+    await recordAuditEvent(req, 'login', { outcome: 'failure', actor: user, details: { reason: 'deactivated' } });
+    return res.status(403).json({ error: 'Account is deactivated' });
+  }
+
+  if (user.passwordResetRequired) {
+    logger.warn('Login refused: Password reset required', { userId: user._id });
+    await recordAuditEvent(req, 'login', { outcome: 'failure', actor: user, details: { reason: 'password-reset-required' } });
+    return res.status(403).json({ error: 'Password reset required. Check your email for a reset link.' });
+  }
 
-  logger.info('User logged in successfully', { userId: user._id, username: user.username, email });
+  // Second step required: hand out a challenge instead of tokens. The failure
+  // counter is only cleared once the login completes, so code guesses keep
+  // counting towards the lockout
+  if (user.twoFactor.enabled) {
+    logger.info('Login awaiting second factor', { userId: user._id });
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user, '2fa-login'),
+    });
+  }
+
+  if (user.role === 'admin' && authConfig.requireTwoFactorForAdmins) {
+    logger.info('Admin login requires 2FA enrolment', { userId: user._id });
+    return res.json({
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(user, '2fa-enroll'),
+    });
+  }
+
+  await recordLoginSuccess(user._id);
+
+  // Generate tokens
+  const { token, refreshToken } = await startSession(user, req);
+
+  logger.info('User logged in successfully', { userId: user._id, username: user.username });
+  await recordAuditEvent(req, 'login', { actor: user, details: { method: 'password' } });
 
   res.json({
     user: {
       id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
     },
     token,
+    refreshToken,
   });
 }));
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', refreshValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { token, refreshToken, user } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    logger.info('Tokens refreshed', { userId: user._id });
+
+    res.json({ token, refreshToken });
+  } catch (error) {
+    if (error.name !== 'TokenError') throw error;
+
+    logger.warn('Token refresh failed', { reason: error.code });
+    return res.status(401).json({ error: error.message });
+  }
+}));
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Confirm an email address
+// @access  Public
+router.get('/verify-email/:token', asyncHandler(async (req, res) => {
+  const user = await User.findByEmailVerificationToken(req.params.token);
+
+  if (!user) {
+    logger.warn('Email verification failed: Invalid or expired token');
+    return res.status(400).json({ error: 'Invalid or expired verification token' });
+  }
+
+  // Confirming a pending change swaps the new address in
+  if (user.pendingEmail) {
+    const taken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+    if (taken) {
+      logger.warn('Email change failed: Address already registered', { userId: user._id });
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+
+    logger.info('Email changed', { userId: user._id, previousEmail: user.email, email: user.pendingEmail });
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('Email verified', { userId: user._id, email: user.email });
+
+  res.json({ message: 'Email verified successfully' });
+}));
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', authenticate, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (user.emailVerified && !user.pendingEmail) {
+    return res.status(400).json({ error: 'Email is already verified' });
+  }
+
+  const cooldownMs = authConfig.verificationResendCooldownSeconds * 1000;
+  const elapsed = user.emailVerificationSentAt
+    ? Date.now() - user.emailVerificationSentAt.getTime()
+    : Infinity;
+
+  if (elapsed < cooldownMs) {
+    const retryAfter = Math.ceil((cooldownMs - elapsed) / 1000);
+    logger.warn('Verification resend throttled', { userId: user._id, retryAfter });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Please wait before requesting another email', retryAfter });
+  }
+
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  if (user.pendingEmail) {
+    await sendEmailChangeVerification(user, token);
+  } else {
+    await sendVerificationEmail(user, token);
+  }
+
+  logger.info('Verification email resent', { userId: user._id });
+
+  res.json({ message: 'Verification email sent' });
+}));
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', authRateLimit, forgotPasswordValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { email } = req.body;
+  const user = await User.findOne({ email });
+
+  const cooldownMs = authConfig.passwordResetCooldownSeconds * 1000;
+  const elapsed = user && user.passwordResetSentAt
+    ? Date.now() - user.passwordResetSentAt.getTime()
+    : Infinity;
+
+  if (user && user.isActive && elapsed < cooldownMs) {
+    // The link sent moments ago stays valid instead of being replaced
+    logger.warn('Password reset throttled', {
+      userId: user._id,
+      retryAfter: Math.ceil((cooldownMs - elapsed) / 1000),
+    });
+  } else if (user && user.isActive) {
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    await sendPasswordResetEmail(user, token);
+
+    logger.info('Password reset requested', { userId: user._id });
+  } else {
+    logger.warn('Password reset requested for unknown account', { email });
+  }
+
+  // Same response either way so the endpoint cannot be used to probe accounts
+  res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+}));
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', resetPasswordValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { token, password } = req.body;
+  const user = await User.findByPasswordResetToken(token);
+
+  if (!user) {
+    logger.warn('Password reset failed: Invalid or expired token');
+    return res.status(400).json({ error: 'Invalid or expired reset token' });
+  }
+
+  const passwordErrors = validatePassword(password, user);
+  if (passwordErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: passwordErrors
+    });
+  }
+
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.passwordResetRequired = false;
+  user.tokenVersion += 1;
+  await user.save();
+
+  // Sign the user out everywhere; whoever requested the reset may not be the owner
+  await revokeAllUserTokens(user._id);
+
+  logger.info('Password reset completed', { userId: user._id });
+  await recordAuditEvent(req, 'password.reset', { actor: user, target: { type: 'user', id: user._id } });
+
+  res.json({ message: 'Password has been reset. Please log in again.' });
+}));
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the current device
+// @access  Private
+router.post('/logout', authenticate, asyncHandler(async (req, res) => {
+  await logout(req.user);
+
+  logger.info('User logged out', { userId: req.user.userId });
+  await recordAuditEvent(req, 'logout', { details: { allDevices: false } });
+
+  res.json({ message: 'Logged out successfully' });
+}));
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out every device of the current user
+// @access  Private
+router.post('/logout-all', authenticate, asyncHandler(async (req, res) => {
+  await logout(req.user);
+  await revokeAllUserTokens(req.user.userId, 'logout');
+
+  logger.info('User logged out everywhere', { userId: req.user.userId });
+  await recordAuditEvent(req, 'logout', { details: { allDevices: true } });
+
+  res.json({ message: 'Logged out of all devices' });
+}));
+
 // @route   GET /api/auth/me
 // @desc    Get current user info
 // @access  Private
-router.get('/me', asyncHandler(async (req, res) => {
+router.get('/me', authenticate, asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.userId).select('-password');
 
   if (!user) {
@@ -153,6 +518,7 @@ router.get('/me', asyncHandler(async (req, res) => {
       id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
     }
   });
 }));
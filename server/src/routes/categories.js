@@ -0,0 +1,251 @@
+// server/src/routes/categories.js - Post category routes
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { createLogger } = require('../utils/logger');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+const logger = createLogger('CategoryRoutes');
+
+// Only published posts are counted publicly
+const PUBLISHED = { status: 'published', isPublished: true };
+
+// Validation middleware
+const categoryIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+];
+
+const parentValidation = body('parent')
+  .optional({ values: 'null' })
+  .isMongoId()
+  .withMessage('Invalid parent category ID')
+  .bail()
+  .custom(async (value) => {
+    if (!await Category.exists({ _id: value })) {
+      throw new Error('Parent category not found');
+    }
+  });
+
+const createCategoryValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters')
+    .custom(value => Category.slugify(value) !== '')
+    .withMessage('Name must contain letters or numbers'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  parentValidation,
+];
+
+const updateCategoryValidation = [
+  ...categoryIdValidation,
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters')
+    .custom(value => Category.slugify(value) !== '')
+    .withMessage('Name must contain letters or numbers'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  parentValidation,
+];
+
+/**
+ * Counts published posts per category: directly in it, and including
+ * everything nested below it
+ * @param {Object[]} categories - Lean category documents
+ * @returns {Object[]} The categories with postCount and totalPostCount
+ */
+const withPostCounts = async (categories) => {
+  const counts = await Post.aggregate([
+    { $match: { ...PUBLISHED, category: { $in: categories.map(category => category._id) } } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
+
+  const direct = new Map(counts.map(entry => [String(entry._id), entry.count]));
+  const total = new Map();
+
+  for (const category of categories) {
+    const count = direct.get(String(category._id)) || 0;
+    for (const id of [...category.ancestors, category._id]) {
+      total.set(String(id), (total.get(String(id)) || 0) + count);
+    }
+  }
+
+  return categories.map(category => ({
+    ...category,
+    postCount: direct.get(String(category._id)) || 0,
+    totalPostCount: total.get(String(category._id)) || 0,
+  }));
+};
+
+// @route   GET /api/categories
+// @desc    List all categories with their post counts
+// @access  Public
+router.get('/', asyncHandler(async (req, res) => {
+  const categories = await Category.find().sort({ name: 1 }).lean();
+
+  res.json({ categories: await withPostCounts(categories) });
+}));
+
+// @route   GET /api/categories/:slug
+// @desc    Get a category with its subcategories
+// @access  Public
+router.get('/:slug', asyncHandler(async (req, res) => {
+  const category = await Category.findOne({ slug: String(req.params.slug).toLowerCase() }).lean();
+
+  if (!category) {
+    return res.status(404).json({ error: 'Category not found' });
+  }
+
+  const descendants = await Category.find({ ancestors: category._id }).lean();
+  const [counted, ...children] = await withPostCounts([
+    category,
+    ...descendants,
+  ]);
+
+  res.json({
+    category: {
+      ...counted,
+      children: children.filter(child => String(child.parent) === String(category._id)),
+    },
+  });
+}));
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private (Admin)
+router.post('/', authenticate, requirePermission('category:manage'), createCategoryValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { name, description, parent: parentId } = req.body;
+  const slug = Category.slugify(name);
+
+  if (await Category.exists({ slug })) {
+    return res.status(409).json({ error: 'A category with this name already exists' });
+  }
+
+  const parent = parentId ? await Category.findById(parentId) : null;
+
+  const category = await Category.create({
+    name,
+    slug,
+    description,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+  });
+
+  logger.info('Category created', { categoryId: category._id, slug, userId: req.user.userId });
+
+  res.status(201).json({ category });
+}));
+
+// @route   PATCH /api/categories/:id
+// @desc    Rename, describe or move a category
+// @access  Private (Admin)
+router.patch('/:id', authenticate, requirePermission('category:manage'), updateCategoryValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return res.status(404).json({ error: 'Category not found' });
+  }
+
+  const { name, description, parent: parentId } = req.body;
+
+  if (name !== undefined && name !== category.name) {
+    const slug = Category.slugify(name);
+    if (await Category.exists({ slug, _id: { $ne: category._id } })) {
+      return res.status(409).json({ error: 'A category with this name already exists' });
+    }
+    category.name = name;
+    category.slug = slug;
+  }
+
+  if (description !== undefined) {
+    category.description = description || undefined;
+  }
+
+  if (parentId !== undefined && String(parentId) !== String(category.parent)) {
+    const parent = parentId ? await Category.findById(parentId) : null;
+
+    if (parent && (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id)))) {
+      return res.status(400).json({ error: 'A category cannot be moved below itself' });
+    }
+
+    await category.moveTo(parent);
+  } else {
+    await category.save();
+  }
+
+  logger.info('Category updated', { categoryId: category._id, userId: req.user.userId });
+
+  res.json({ category });
+}));
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category without subcategories; its posts become uncategorised
+// @access  Private (Admin)
+router.delete('/:id', authenticate, requirePermission('category:manage'), categoryIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return res.status(404).json({ error: 'Category not found' });
+  }
+
+  if (await Category.exists({ parent: category._id })) {
+    return res.status(409).json({ error: 'Delete or move the subcategories first' });
+  }
+
+  const { modifiedCount } = await Post.updateMany({ category: category._id }, { category: null });
+  await category.deleteOne();
+
+  logger.info('Category deleted', {
+    categoryId: category._id,
+    userId: req.user.userId,
+    uncategorisedPosts: modifiedCount,
+  });
+
+  res.json({ message: 'Category deleted' });
+}));
+
+module.exports = router;
@@ -0,0 +1,359 @@
+// server/src/routes/comments.js - Post comment routes, mounted at /api/posts/:id/comments
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const commentConfig = require('../config/comments');
+const { can, canViewPost } = require('../utils/permissions');
+const { createLogger } = require('../utils/logger');
+const {
+  authenticate,
+  optionalAuthenticate,
+  requirePermission,
+  requireVerifiedEmail,
+} = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router({ mergeParams: true });
+const logger = createLogger('CommentRoutes');
+
+// Validation middleware
+const postIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid post ID'),
+];
+
+const commentIdValidation = [
+  ...postIdValidation,
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID'),
+];
+
+const contentValidation = body('content')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: commentConfig.maxLength })
+  .withMessage(`Comment must be between 1 and ${commentConfig.maxLength} characters`);
+
+const createCommentValidation = [
+  ...postIdValidation,
+  contentValidation,
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID'),
+];
+
+/**
+ * Middleware to validate the route parameters and load the post
+ */
+const loadPost = [
+  ...postIdValidation,
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('author status commentsLocked');
+
+    if (!post || !canViewPost(req.user, post)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    req.post = post;
+    next();
+  }),
+];
+
+/**
+ * Middleware to load a comment of the post loaded by loadPost
+ */
+const loadComment = [
+  ...commentIdValidation,
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: req.post._id });
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    req.comment = comment;
+    next();
+  }),
+];
+
+/**
+ * Middleware allowing the post author and moderators only
+ */
+const requireModerator = (req, res, next) => {
+  if (!can(req.user, 'comment:moderate', req.post)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+/**
+ * Public representation of a comment; deleted and hidden comments keep
+ * their place in the thread but lose their content
+ */
+const formatComment = (comment) => {
+  const deleted = Boolean(comment.deletedAt);
+  const hidden = !deleted && Boolean(comment.hiddenAt);
+
+  return {
+    _id: comment._id,
+    parent: comment.parent,
+    depth: comment.depth,
+    author: deleted ? null : comment.author,
+    content: deleted || hidden ? null : comment.content,
+    deleted,
+    hidden,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt || null,
+    replies: [],
+  };
+};
+
+// @route   GET /api/posts/:id/comments
+// @desc    Get the comment threads of a post, paginated by top-level comment
+// @access  Public
+router.get('/', optionalAuthenticate, loadPost, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const filter = { post: req.post._id, parent: null };
+  const skip = (page - 1) * limit;
+
+  const [roots, total] = await Promise.all([
+    Comment.find(filter)
+      .populate('author', 'username')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Comment.countDocuments(filter),
+  ]);
+
+  const replies = await Comment.find({ root: { $in: roots.map(root => root._id) } })
+    .populate('author', 'username')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  // Replies are sorted oldest first, so every parent is placed before its children
+  const byId = new Map();
+  const comments = roots.map((root) => {
+    const formatted = formatComment(root);
+    byId.set(String(root._id), formatted);
+    return formatted;
+  });
+
+  for (const reply of replies) {
+    const formatted = formatComment(reply);
+    byId.set(String(reply._id), formatted);
+    const parent = byId.get(String(reply.parent));
+    if (parent) parent.replies.push(formatted);
+  }
+
+  res.json({
+    comments,
+    locked: req.post.commentsLocked,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+}));
+
+// @route   POST /api/posts/:id/comments
+// @desc    Comment on a post or reply to a comment
+// @access  Private
+router.post('/', authenticate, requirePermission('comment:create'), requireVerifiedEmail, loadPost, createCommentValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  if (req.post.commentsLocked) {
+    return res.status(403).json({ error: 'Comments are locked on this post' });
+  }
+
+  const { content, parent: parentId } = req.body;
+  let parent = null;
+
+  if (parentId) {
+    parent = await Comment.findOne({ _id: parentId, post: req.post._id });
+
+    if (!parent) {
+      return res.status(404).json({ error: 'Parent comment not found' });
+    }
+
+    if (parent.deletedAt || parent.hiddenAt) {
+      return res.status(400).json({ error: 'Cannot reply to a removed comment' });
+    }
+
+    if (parent.depth + 1 > commentConfig.maxDepth) {
+      return res.status(400).json({ error: `Replies cannot be nested more than ${commentConfig.maxDepth} levels deep` });
+    }
+  }
+
+  const comment = await Comment.add({
+    post: req.post._id,
+    author: req.user.userId,
+    parent: parent ? parent._id : null,
+    root: parent ? (parent.root || parent._id) : null,
+    depth: parent ? parent.depth + 1 : 0,
+    content,
+  });
+
+  await comment.populate('author', 'username');
+
+  logger.info('Comment created', {
+    commentId: comment._id,
+    postId: req.post._id,
+    userId: req.user.userId,
+    depth: comment.depth,
+  });
+
+  res.status(201).json({ comment: formatComment(comment) });
+}));
+
+// @route   POST /api/posts/:id/comments/lock
+// @desc    Stop new comments and edits on a post
+// @access  Private (Post author or moderator)
+router.post('/lock', authenticate, loadPost, requireModerator, asyncHandler(async (req, res) => {
+  await Post.updateOne({ _id: req.post._id }, { commentsLocked: true });
+
+  logger.info('Comments locked', { postId: req.post._id, userId: req.user.userId });
+
+  res.json({ locked: true });
+}));
+
+// @route   POST /api/posts/:id/comments/unlock
+// @desc    Allow comments on a post again
+// @access  Private (Post author or moderator)
+router.post('/unlock', authenticate, loadPost, requireModerator, asyncHandler(async (req, res) => {
+  await Post.updateOne({ _id: req.post._id }, { commentsLocked: false });
+
+  logger.info('Comments unlocked', { postId: req.post._id, userId: req.user.userId });
+
+  res.json({ locked: false });
+}));
+
+// @route   PATCH /api/posts/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (Comment author)
+router.patch('/:commentId', authenticate, loadPost, loadComment, [contentValidation], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { comment } = req;
+
+  if (!can(req.user, 'comment:update', comment)) {
+    return res.status(403).json({ error: 'Access denied. Not the owner.' });
+  }
+
+  if (req.post.commentsLocked) {
+    return res.status(403).json({ error: 'Comments are locked on this post' });
+  }
+
+  if (comment.deletedAt) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+
+  comment.content = req.body.content;
+  comment.editedAt = new Date();
+  await comment.save();
+  await comment.populate('author', 'username');
+
+  logger.info('Comment edited', { commentId: comment._id, userId: req.user.userId });
+
+  res.json({ comment: formatComment(comment) });
+}));
+
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @desc    Delete a comment, leaving a placeholder in its thread
+// @access  Private (Comment author or admin)
+router.delete('/:commentId', authenticate, loadPost, loadComment, asyncHandler(async (req, res) => {
+  const { comment } = req;
+
+  if (!can(req.user, 'comment:delete', comment)) {
+    return res.status(403).json({ error: 'Access denied. Not the owner.' });
+  }
+
+  const deleted = await Comment.softDelete(comment._id);
+
+  if (!deleted) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+
+  logger.info('Comment deleted', { commentId: comment._id, userId: req.user.userId });
+
+  res.json({ message: 'Comment deleted' });
+}));
+
+// @route   POST /api/posts/:id/comments/:commentId/hide
+// @desc    Hide a comment from readers
+// @access  Private (Post author or moderator)
+router.post('/:commentId/hide', authenticate, loadPost, requireModerator, loadComment, asyncHandler(async (req, res) => {
+  if (req.comment.deletedAt) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+
+  // A no-op when the comment is already hidden
+  await Comment.setHidden(req.comment._id, true, req.user.userId);
+
+  logger.info('Comment hidden', { commentId: req.comment._id, userId: req.user.userId });
+
+  res.json({ hidden: true });
+}));
+
+// @route   POST /api/posts/:id/comments/:commentId/unhide
+// @desc    Show a hidden comment again
+// @access  Private (Post author or moderator)
+router.post('/:commentId/unhide', authenticate, loadPost, requireModerator, loadComment, asyncHandler(async (req, res) => {
+  if (req.comment.deletedAt) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+
+  await Comment.setHidden(req.comment._id, false);
+
+  logger.info('Comment unhidden', { commentId: req.comment._id, userId: req.user.userId });
+
+  res.json({ hidden: false });
+}));
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// server/src/routes/feed.js - Personalised feed routes
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Follow = require('../models/Follow');
+const Post = require('../models/Post');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const { createLogger } = require('../utils/logger');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+const logger = createLogger('FeedRoutes');
+
+// @route   GET /api/feed
+// @desc    Get published posts of followed authors, newest first, with cursor pagination
+// @access  Private
+router.get('/', authenticate, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('cursor')
+    .optional()
+    .custom(value => decodeCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { limit = 10, cursor } = req.query;
+
+  const follows = await Follow.find({ follower: req.user.userId }).select('following').lean();
+  if (follows.length === 0) {
+    return res.json({ posts: [], nextCursor: null });
+  }
+
+  // Ordered by publication like the other listings, so released scheduled posts
+  // and drafts published late appear at the top. Served by the
+  // { author: 1, publishedAt: -1, _id: -1 } index on posts: each followed author
+  // is scanned in order and the scans are merged, no sort needed (MongoDB merges
+  // up to 200 scans; beyond that it falls back to sorting)
+  const filter = {
+    author: { $in: follows.map(follow => follow.following) },
+    status: 'published',
+    isPublished: true,
+    ...(cursor && afterCursor(decodeCursor(cursor))),
+  };
+
+  // One extra post tells whether there is a next page
+  const posts = await Post.find(filter)
+    .populate('author', 'username')
+    .populate('category', 'name slug')
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = posts.length > limit;
+  const page = hasMore ? posts.slice(0, limit) : posts;
+
+  logger.debug('Feed retrieved', { userId: req.user.userId, count: page.length, following: follows.length });
+
+  res.json({
+    posts: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  });
+}));
+
+module.exports = router;
@@ -1,16 +1,43 @@
 // server/src/routes/posts.js - Posts routes
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
 const User = require('../models/User');
+const { recordAuditEvent } = require('../utils/audit');
+const { recordView } = require('../utils/views');
+const { canViewPost } = require('../utils/permissions');
 const { createLogger } = require('../utils/logger');
-const { authenticate, requireOwnership } = require('../middleware/auth');
+const {
+  authenticate,
+  optionalAuthenticate,
+  requirePermission,
+  requireResourceOwnership,
+  requireVerifiedEmail,
+} = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const commentRoutes = require('./comments');
+const reactionRoutes = require('./reactions');
 
 const router = express.Router();
 const logger = createLogger('PostsRoutes');
 
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/reactions', reactionRoutes);
+
+/**
+ * Rejects category IDs that do not belong to an existing category
+ */
+const categoryExists = async (value) => {
+  if (!await Category.exists({ _id: value })) {
+    throw new Error('Category not found');
+  }
+};
+
 // Validation middleware
 const createPostValidation = [
   body('title')
@@ -22,9 +49,28 @@ const createPostValidation = [
     .isLength({ min: 1, max: 10000 })
     .withMessage('Content must be between 1 and 10000 characters'),
   body('category')
-    .optional()
+    .optional({ values: 'null' })
     .isMongoId()
-    .withMessage('Invalid category ID'),
+    .withMessage('Invalid category ID')
+    .bail()
+    .custom(categoryExists),
+  body('status')
+    .optional()
+    .isIn(['draft', 'published'])
+    .withMessage('Status must be draft or published'),
+  body('publishedAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid publication date')
+    .toDate(),
+];
+
+const publishValidation = [
+  body('publishedAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid publication date')
+    .toDate(),
 ];
 
 const updatePostValidation = [
@@ -39,18 +85,37 @@ const updatePostValidation = [
     .isLength({ min: 1, max: 10000 })
     .withMessage('Content must be between 1 and 10000 characters'),
   body('category')
-    .optional()
+    .optional({ values: 'null' })
     .isMongoId()
-    .withMessage('Invalid category ID'),
+    .withMessage('Invalid category ID')
+    .bail()
+    .custom(categoryExists),
 ];
 
+/**
+ * Adds the reaction types of the signed-in user to each post as viewerReactions
+ */
+const addViewerReactions = async (posts, user) => {
+  if (!user || posts.length === 0) return;
+
+  const byPost = await Reaction.findViewerReactions(posts.map(post => post._id), user.userId);
+  for (const post of posts) {
+    post.viewerReactions = byPost.get(String(post._id));
+  }
+};
+
+// Ownership middleware (attaches the post to req.post)
+const loadPostForUpdate = requireResourceOwnership(Post, { permission: 'post:update' });
+const loadPostForDelete = requireResourceOwnership(Post, { permission: 'post:delete' });
+
 // @route   GET /api/posts
 // @desc    Get all posts with pagination and filtering
 // @access  Public
-router.get('/', [
+router.get('/', optionalAuthenticate, [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  query('category').optional().isMongoId(),
+  query('category').optional().isString().trim().notEmpty(),
+  query('status').optional().isIn(Post.STATUSES),
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -60,21 +125,46 @@ router.get('/', [
     });
   }
 
-  const { page = 1, limit = 10, category } = req.query;
+  const { page = 1, limit = 10, category, status = 'published' } = req.query;
+
+  // Unpublished posts are only listed for their own author
+  const query = { status };
+  if (status !== 'published') {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+    query.author = req.user.userId;
+  }
 
-  // Build query
-  const query = {};
+  // A category matches its subcategories too. Slugs are preferred, raw IDs
+  // are still accepted for older clients.
   if (category) {
-    query.category = category;
+    const match = mongoose.isObjectIdOrHexString(category)
+      ? await Category.findById(category).select('_id').lean()
+      : await Category.findOne({ slug: category.toLowerCase() }).select('_id').lean();
+
+    if (!match) {
+      // An unknown category simply has no posts
+      return res.json({
+        posts: [],
+        pagination: { page, limit, total: 0, pages: 0 },
+      });
+    }
+
+    query.category = { $in: await Category.findSubtreeIds(match._id) };
   }
 
   // Calculate pagination
   const skip = (page - 1) * limit;
 
+  // Published posts are listed by publication date, the others as written
+  const sort = status === 'published' ? { publishedAt: -1, _id: -1 } : { createdAt: -1 };
+
   // Get posts with author info
   const posts = await Post.find(query)
     .populate('author', 'username')
-    .sort({ createdAt: -1 })
+    .populate('category', 'name slug')
+    .sort(sort)
     .skip(skip)
     .limit(limit)
     .lean();
@@ -82,6 +172,8 @@ router.get('/', [
   // Get total count for pagination
   const total = await Post.countDocuments(query);
 
+  await addViewerReactions(posts, req.user);
+
   logger.debug('Posts retrieved', {
     count: posts.length,
     page,
@@ -104,16 +196,22 @@ router.get('/', [
 // @route   GET /api/posts/:id
 // @desc    Get single post by ID
 // @access  Public
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', optionalAuthenticate, asyncHandler(async (req, res) => {
   const post = await Post.findById(req.params.id)
     .populate('author', 'username')
+    .populate('category', 'name slug')
     .lean();
 
-  if (!post) {
+  if (!post || !canViewPost(req.user, post)) {
     logger.warn('Post not found', { postId: req.params.id });
     return res.status(404).json({ error: 'Post not found' });
   }
 
+  await addViewerReactions([post], req.user);
+  if (post.status === 'published') {
+    recordView(req, post);
+  }
+
   logger.debug('Post retrieved', { postId: post._id, title: post.title });
 
   res.json({ post });
@@ -122,7 +220,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
 // @route   POST /api/posts
 // @desc    Create a new post
 // @access  Private
-router.post('/', authenticate, createPostValidation, asyncHandler(async (req, res) => {
+router.post('/', authenticate, requirePermission('post:create'), requireVerifiedEmail, createPostValidation, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     logger.warn('Post creation validation failed', {
@@ -135,26 +233,38 @@ router.post('/', authenticate, createPostValidation, asyncHandler(async (req, re
     });
   }
 
-  const { title, content, category } = req.body;
+  const { title, content, category, publishedAt } = req.body;
+
+  // Posts are published right away unless saved as a draft or dated in the future
+  let { status = 'published' } = req.body;
+  if (status === 'published' && publishedAt > new Date()) {
+    status = 'scheduled';
+  }
 
   // Create post
   const post = new Post({
     title,
     content,
     category,
+    status,
+    publishedAt: status === 'draft' ? null : publishedAt,
     author: req.user.userId,
     slug: title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
   });
 
   await post.save();
 
-  // Populate author info
-  await post.populate('author', 'username');
+  // Populate author and category info
+  await post.populate([
+    { path: 'author', select: 'username' },
+    { path: 'category', select: 'name slug' },
+  ]);
 
   logger.info('Post created', {
     postId: post._id,
     userId: req.user.userId,
-    title: post.title
+    title: post.title,
+    status: post.status
   });
 
   res.status(201).json({ post });
@@ -162,8 +272,8 @@ router.post('/', authenticate, createPostValidation, asyncHandler(async (req, re
 
 // @route   PUT /api/posts/:id
 // @desc    Update a post
-// @access  Private (Author only)
-router.put('/:id', authenticate, requireOwnership, updatePostValidation, asyncHandler(async (req, res) => {
+// @access  Private (Author or admin)
+router.put('/:id', authenticate, loadPostForUpdate, updatePostValidation, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     logger.warn('Post update validation failed', {
@@ -177,56 +287,124 @@ router.put('/:id', authenticate, requireOwnership, updatePostValidation, asyncHa
     });
   }
 
+  const { post } = req;
   const { title, content, category } = req.body;
 
-  const updateData = {};
-  if (title !== undefined) updateData.title = title;
-  if (content !== undefined) updateData.content = content;
-  if (category !== undefined) updateData.category = category;
+  if (title !== undefined) post.title = title;
+  if (content !== undefined) post.content = content;
+  if (category !== undefined) post.category = category;
 
   // Update slug if title changed
   if (title) {
-    updateData.slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    post.slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
   }
 
-  updateData.updatedAt = new Date();
+  await post.save();
+  await post.populate([
+    { path: 'author', select: 'username' },
+    { path: 'category', select: 'name slug' },
+  ]);
 
-  const post = await Post.findByIdAndUpdate(
-    req.params.id,
-    updateData,
-    { new: true, runValidators: true }
-  ).populate('author', 'username');
+  logger.info('Post updated', {
+    postId: post._id,
+    userId: req.user.userId,
+    title: post.title
+  });
 
-  if (!post) {
-    logger.warn('Post not found for update', { postId: req.params.id, userId: req.user.userId });
-    return res.status(404).json({ error: 'Post not found' });
+  res.json({ post });
+}));
+
+/**
+ * Moves a post to the status chosen by resolve(req), rejecting transitions
+ * the editorial workflow does not allow
+ * @param {string} action - Name of the action, used in errors and logs
+ * @param {Function} resolve - Returns { status, publishedAt } for the request
+ */
+const transitionPost = (action, resolve) => asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
   }
 
-  logger.info('Post updated', {
+  const { post } = req;
+  const { status, publishedAt } = resolve(req);
+
+  if (!post.canTransitionTo(status)) {
+    return res.status(409).json({ error: `Cannot ${action} a post that is ${post.status}` });
+  }
+
+  const previousStatus = post.status;
+  post.status = status;
+  post.publishedAt = publishedAt;
+
+  await post.save();
+  await post.populate([
+    { path: 'author', select: 'username' },
+    { path: 'category', select: 'name slug' },
+  ]);
+
+  logger.info('Post status changed', {
     postId: post._id,
     userId: req.user.userId,
-    title: post.title
+    from: previousStatus,
+    to: post.status,
+    publishedAt: post.publishedAt
   });
 
   res.json({ post });
+});
+
+// @route   POST /api/posts/:id/publish
+// @desc    Publish a post now, or schedule it when publishedAt is in the future
+// @access  Private (Author or admin)
+router.post('/:id/publish', authenticate, loadPostForUpdate, publishValidation, transitionPost('publish', (req) => {
+  const { publishedAt } = req.body;
+  const now = new Date();
+
+  return publishedAt > now
+    ? { status: 'scheduled', publishedAt }
+    : { status: 'published', publishedAt: publishedAt || now };
 }));
 
+// @route   POST /api/posts/:id/unpublish
+// @desc    Take a published or scheduled post back to draft
+// @access  Private (Author or admin)
+router.post('/:id/unpublish', authenticate, loadPostForUpdate, transitionPost('unpublish', () => ({
+  status: 'draft',
+  publishedAt: null,
+})));
+
+// @route   POST /api/posts/:id/archive
+// @desc    Archive a post, hiding it from readers
+// @access  Private (Author or admin)
+router.post('/:id/archive', authenticate, loadPostForUpdate, transitionPost('archive', (req) => ({
+  status: 'archived',
+  publishedAt: req.post.publishedAt,
+})));
+
 // @route   DELETE /api/posts/:id
 // @desc    Delete a post
-// @access  Private (Author only)
-router.delete('/:id', authenticate, requireOwnership, asyncHandler(async (req, res) => {
-  const post = await Post.findByIdAndDelete(req.params.id);
-
-  if (!post) {
-    logger.warn('Post not found for deletion', { postId: req.params.id, userId: req.user.userId });
-    return res.status(404).json({ error: 'Post not found' });
-  }
+// @access  Private (Author or admin)
+router.delete('/:id', authenticate, loadPostForDelete, asyncHandler(async (req, res) => {
+  const { post } = req;
+  await post.deleteOne();
+  await Promise.all([
+    Comment.deleteMany({ post: post._id }),
+    Reaction.deleteMany({ post: post._id }),
+  ]);
 
   logger.info('Post deleted', {
     postId: post._id,
     userId: req.user.userId,
     title: post.title
   });
+  await recordAuditEvent(req, 'post.delete', {
+    target: { type: 'post', id: post._id },
+    details: { title: post.title, authorId: post.author },
+  });
 
   res.json({ message: 'Post deleted successfully' });
 }));
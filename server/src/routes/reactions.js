@@ -0,0 +1,76 @@
+// server/src/routes/reactions.js - Post reaction routes, mounted at /api/posts/:id/reactions
+
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Reaction = require('../models/Reaction');
+const reactionConfig = require('../config/reactions');
+const { createLogger } = require('../utils/logger');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router({ mergeParams: true });
+const logger = createLogger('ReactionRoutes');
+
+// Validation middleware
+const reactionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid post ID'),
+  param('type')
+    .isIn(reactionConfig.types)
+    .withMessage(`Reaction must be one of: ${reactionConfig.types.join(', ')}`),
+];
+
+/**
+ * Adds or removes the reaction of the signed-in user and responds with the
+ * current counts of the post
+ * @param {boolean} add - True to add the reaction, false to remove it
+ */
+const setReaction = (add) => asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id: postId, type } = req.params;
+
+  // Only published posts can be reacted to
+  if (!await Post.exists({ _id: postId, status: 'published' })) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+
+  const changed = add
+    ? await Reaction.react(postId, req.user.userId, type)
+    : await Reaction.unreact(postId, req.user.userId, type);
+
+  if (changed) {
+    logger.debug(add ? 'Reaction added' : 'Reaction removed', { postId, userId: req.user.userId, type });
+  }
+
+  const [post, viewerReactions] = await Promise.all([
+    Post.findById(postId).select('likeCount reactionCounts').lean(),
+    Reaction.findViewerReactions([postId], req.user.userId),
+  ]);
+
+  res.status(add && changed ? 201 : 200).json({
+    likeCount: post.likeCount,
+    reactionCounts: post.reactionCounts,
+    viewerReactions: viewerReactions.get(postId),
+  });
+});
+
+// @route   PUT /api/posts/:id/reactions/:type
+// @desc    React to a post; repeating the request has no further effect
+// @access  Private
+router.put('/:type', authenticate, requirePermission('post:react'), reactionValidation, setReaction(true));
+
+// @route   DELETE /api/posts/:id/reactions/:type
+// @desc    Remove a reaction from a post
+// @access  Private
+router.delete('/:type', authenticate, requirePermission('post:react'), reactionValidation, setReaction(false));
+
+module.exports = router;
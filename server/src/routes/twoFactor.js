@@ -0,0 +1,353 @@
+// server/src/routes/twoFactor.js - Two-factor authentication routes
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const { verifyChallengeToken, hashToken } = require('../utils/auth');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+} = require('../utils/totp');
+const { startSession } = require('../utils/tokens');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../utils/loginThrottle');
+const { recordAuditEvent } = require('../utils/audit');
+const { createLogger } = require('../utils/logger');
+const {
+  authenticate,
+  authenticateOrChallenge,
+  rejectPersonalAccessTokens,
+} = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+const logger = createLogger('TwoFactorRoutes');
+
+// Second factors are managed with a real sign-in only
+router.use(rejectPersonalAccessTokens);
+
+// Validation middleware
+const codeValidation = [
+  body('code')
+    .isString()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+];
+
+const loginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Recovery code cannot be empty'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Either code or recoveryCode is required'),
+];
+
+const disableValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...codeValidation,
+];
+
+/**
+ * Generates recovery codes and returns them with their hashes
+ */
+const createRecoveryCodes = () => {
+  const codes = generateRecoveryCodes(authConfig.recoveryCodeCount);
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code.replace('-', ''))),
+  };
+};
+
+/**
+ * Checks a TOTP code against the user's secret, refusing replays
+ * @returns {boolean} True when the code is valid and unused
+ */
+const acceptTotp = async (user, secret, code) => {
+  const step = verifyTotp(secret, code);
+  return step !== null && await User.consumeTotpStep(user._id, step);
+};
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment and get the secret and otpauth URI
+// @access  Private (or 2FA enrolment challenge)
+router.post('/setup', authenticateOrChallenge('2fa-enroll'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('2FA enrolment started', { userId: user._id });
+
+  res.json({
+    secret,
+    otpauthUrl: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: authConfig.twoFactorIssuer,
+    }),
+  });
+}));
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm enrolment with a code and receive recovery codes
+// @access  Private (or 2FA enrolment challenge)
+router.post('/confirm', authenticateOrChallenge('2fa-enroll'), codeValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user.userId).select('+twoFactor.pendingSecret');
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const secret = user.twoFactor.pendingSecret;
+  if (!secret) {
+    return res.status(400).json({ error: 'No two-factor enrolment in progress' });
+  }
+
+  const step = verifyTotp(secret, req.body.code);
+  if (step === null) {
+    logger.warn('2FA enrolment confirmation failed', { userId: user._id });
+    return res.status(400).json({ error: 'Invalid verification code' });
+  }
+
+  const { codes, hashes } = createRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = secret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('2FA enabled', { userId: user._id });
+
+  const response = {
+    message: 'Two-factor authentication enabled',
+    recoveryCodes: codes,
+  };
+
+  // Enrolment forced during login completes the login
+  if (req.challenge) {
+    await recordLoginSuccess(user._id);
+    const { token, refreshToken } = await startSession(user, req);
+    await recordAuditEvent(req, 'login', { actor: user, details: { method: '2fa-enrolment' } });
+    Object.assign(response, {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+      },
+      token,
+      refreshToken,
+    });
+  }
+
+  res.json(response);
+}));
+
+// @route   POST /api/auth/2fa/login
+// @desc    Complete a login with a TOTP or recovery code
+// @access  Public (2FA login challenge)
+router.post('/login', loginValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = verifyChallengeToken(challengeToken, '2fa-login');
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired challenge token' });
+  }
+
+  const blocked = await checkLoginAllowed({ ip: req.ip, userId: decoded.userId });
+  if (blocked) {
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(blocked.status).json({
+      error: blocked.error,
+      retryAfter: blocked.retryAfter,
+    });
+  }
+
+  const user = await User.findById(decoded.userId).select('+twoFactor.secret');
+  if (!user || !user.twoFactor.enabled) {
+    return res.status(401).json({ error: 'Invalid or expired challenge token' });
+  }
+
+  const isValid = code
+    ? await acceptTotp(user, user.twoFactor.secret, code)
+    : await User.consumeRecoveryCode(user._id, recoveryCode);
+
+  if (!isValid) {
+    logger.warn('2FA login failed', { userId: user._id, method: code ? 'totp' : 'recovery' });
+    const { locked, lockedUntil } = await recordLoginFailure({ ip: req.ip, user });
+    await recordAuditEvent(req, 'login', {
+      outcome: 'failure',
+      actor: user,
+      details: { method: code ? 'totp' : 'recovery-code', reason: 'invalid-code', locked },
+    });
+
+    if (locked) {
+      const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({
+        error: 'Account temporarily locked due to too many failed login attempts',
+        retryAfter,
+      });
+    }
+
+    return res.status(401).json({ error: 'Invalid verification code' });
+  }
+
+  if (recoveryCode) {
+    logger.warn('2FA recovery code used', { userId: user._id });
+  }
+
+  // The account may have changed since the password step
+  if (!user.isActive) {
+    logger.warn('Login refused: Account deactivated', { userId: user._id });
+    await recordAuditEvent(req, 'login', { outcome: 'failure', actor: user, details: { reason: 'deactivated' } });
+    return res.status(403).json({ error: 'Account is deactivated' });
+  }
+
+  if (user.passwordResetRequired) {
+    logger.warn('Login refused: Password reset required', { userId: user._id });
+    await recordAuditEvent(req, 'login', { outcome: 'failure', actor: user, details: { reason: 'password-reset-required' } });
+    return res.status(403).json({ error: 'Password reset required. Check your email for a reset link.' });
+  }
+
+  await recordLoginSuccess(user._id);
+  const { token, refreshToken } = await startSession(user, req);
+
+  logger.info('User logged in with 2FA', { userId: user._id, username: user.username });
+  await recordAuditEvent(req, 'login', { actor: user, details: { method: code ? 'totp' : 'recovery-code' } });
+
+  res.json({
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+    },
+    token,
+    refreshToken,
+  });
+}));
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes
+// @access  Private
+router.post('/recovery-codes', authenticate, codeValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user.userId).select('+twoFactor.secret');
+
+  if (!user || !user.twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  if (!await acceptTotp(user, user.twoFactor.secret, req.body.code)) {
+    return res.status(400).json({ error: 'Invalid verification code' });
+  }
+
+  const { codes, hashes } = createRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': hashes });
+
+  logger.info('2FA recovery codes regenerated', { userId: user._id });
+
+  res.json({ recoveryCodes: codes });
+}));
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA
+// @access  Private
+router.post('/disable', authenticate, disableValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user.userId).select('+password +twoFactor.secret');
+
+  if (!user || !user.twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  if (user.role === 'admin' && authConfig.requireTwoFactorForAdmins) {
+    return res.status(403).json({ error: 'Two-factor authentication is required for administrators' });
+  }
+
+  const isPasswordValid = await user.comparePassword(req.body.password);
+  if (!isPasswordValid || !await acceptTotp(user, user.twoFactor.secret, req.body.code)) {
+    logger.warn('2FA disable failed', { userId: user._id });
+    return res.status(400).json({ error: 'Invalid password or verification code' });
+  }
+
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.enabledAt': 1,
+      'twoFactor.secret': 1,
+      'twoFactor.recoveryCodes': 1,
+      'twoFactor.lastUsedStep': 1,
+    },
+  });
+
+  logger.info('2FA disabled', { userId: user._id });
+
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+module.exports = router;
@@ -0,0 +1,693 @@
+// server/src/routes/users.js - User profile routes
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const authConfig = require('../config/auth');
+const tokenScopes = require('../config/scopes');
+const { generatePersonalAccessToken, hashToken } = require('../utils/auth');
+const { startSession, revokeSession, revokeAllUserTokens } = require('../utils/tokens');
+const { validatePassword } = require('../utils/passwordPolicy');
+const {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  isReservedUsername,
+  isReservedEmail,
+} = require('../utils/accountDeletion');
+const { recordAuditEvent } = require('../utils/audit');
+const { sendEmailChangeVerification, sendEmailChangeNotice } = require('../utils/emails');
+const { createLogger } = require('../utils/logger');
+const { writeChunk } = require('../utils/streams');
+const { authenticate, requirePermission, rateLimit } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+const logger = createLogger('UserRoutes');
+
+// Password checks are as attractive to brute-force as logins
+const passwordRateLimit = rateLimit(authConfig.loginRateLimit, 15 * 60 * 1000);
+
+// Exports read every post of the user; keep them rare
+const exportRateLimit = rateLimit(5, 60 * 60 * 1000);
+
+// Validation middleware (limits mirror the User schema)
+const updateProfileValidation = [
+  body('username')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores')
+    .custom(value => !isReservedUsername(value))
+    .withMessage('This username is reserved'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+    .custom(value => !isReservedEmail(value))
+    .withMessage('This email address is reserved'),
+  body('profile')
+    .optional()
+    .isObject()
+    .withMessage('Profile must be an object'),
+  body('profile.firstName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('First name cannot exceed 50 characters'),
+  body('profile.lastName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Last name cannot exceed 50 characters'),
+  body('profile.bio')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Bio cannot exceed 500 characters'),
+  body('profile.avatar')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Avatar must be an http(s) URL')
+    .isLength({ max: 2048 })
+    .withMessage('Avatar URL cannot exceed 2048 characters'),
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isString()
+    .withMessage('New password is required'),
+];
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+];
+
+const createTokenValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.keys(tokenScopes))
+    .withMessage(`Scopes must be among: ${Object.keys(tokenScopes).join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: authConfig.personalAccessTokenMaxTtlDays })
+    .withMessage(`Expiry must be between 1 and ${authConfig.personalAccessTokenMaxTtlDays} days`)
+    .toInt(),
+];
+
+const publicProfileValidation = [
+  param('username')
+    .matches(/^[a-zA-Z0-9_]{3,30}$/)
+    .withMessage('Invalid username'),
+];
+
+const PROFILE_FIELDS = ['firstName', 'lastName', 'bio', 'avatar'];
+
+// Only published posts are visible on public profiles
+const publicPostsFilter = (authorId) => ({ author: authorId, status: 'published', isPublished: true });
+
+/**
+ * Finds an account that can be shown publicly; deactivated accounts and
+ * accounts awaiting deletion are hidden
+ */
+const findPublicUser = (username) => {
+  return User.findOne({ username, isActive: true, deletionScheduledFor: null })
+    .select('username profile createdAt');
+};
+
+// @route   GET /api/users/me
+// @desc    Get the current user's full profile
+// @access  Private
+router.get('/me', authenticate, requirePermission('user:read:own'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ user });
+}));
+
+// @route   PATCH /api/users/me
+// @desc    Update the current user's profile, username or email
+// @access  Private
+router.patch('/me', authenticate, requirePermission('user:update:own'), updateProfileValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const { username, email, profile = {} } = req.body;
+
+  if (username !== undefined && username !== user.username) {
+    const taken = await User.exists({ username, _id: { $ne: user._id } });
+    if (taken) {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+
+    logger.info('Username changed', { userId: user._id, previousUsername: user.username, username });
+    user.username = username;
+  }
+
+  // A new email only takes effect once it has been verified
+  let emailChangeToken;
+  if (email !== undefined && email !== user.email && email !== user.pendingEmail) {
+    const taken = await User.exists({ email, _id: { $ne: user._id } });
+    if (taken) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+
+    user.pendingEmail = email;
+    emailChangeToken = user.createEmailVerificationToken();
+  } else if (email === user.email && user.pendingEmail) {
+    // Asking for the current address again cancels a pending change
+    user.pendingEmail = undefined;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+  }
+
+  for (const field of PROFILE_FIELDS) {
+    if (profile[field] !== undefined) {
+      user.profile[field] = profile[field] || undefined;
+    }
+  }
+
+  await user.save();
+
+  if (emailChangeToken) {
+    await sendEmailChangeVerification(user, emailChangeToken);
+    await sendEmailChangeNotice(user);
+    logger.info('Email change requested', { userId: user._id });
+  }
+
+  logger.info('Profile updated', { userId: user._id });
+
+  res.json({ user });
+}));
+
+// @route   DELETE /api/users/me
+// @desc    Schedule the deletion of the current user's account
+// @access  Private
+router.delete('/me', authenticate, requirePermission('user:delete:own'), passwordRateLimit, deleteAccountValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user.userId).select('+password');
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (user.deletionScheduledFor) {
+    return res.status(400).json({ error: 'Account deletion is already scheduled' });
+  }
+
+  const isPasswordValid = await user.comparePassword(req.body.password);
+  if (!isPasswordValid) {
+    logger.warn('Account deletion failed: Incorrect password', { userId: user._id });
+    await recordAuditEvent(req, 'account.delete-request', { outcome: 'failure', details: { reason: 'invalid-password' } });
+    return res.status(400).json({ error: 'Password is incorrect' });
+  }
+
+  const deletionScheduledFor = await scheduleAccountDeletion(user);
+  await recordAuditEvent(req, 'account.delete-request', {
+    target: { type: 'user', id: user._id },
+    details: { deletionScheduledFor },
+  });
+
+  res.status(202).json({
+    message: 'Account scheduled for deletion. To keep it, sign in again and cancel the deletion before the deletion date.',
+    deletionScheduledFor,
+  });
+}));
+
+// @route   POST /api/users/me/cancel-deletion
+// @desc    Keep the account during the deletion grace period
+// @access  Private
+router.post('/me/cancel-deletion', authenticate, requirePermission('user:delete:own'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const cancelled = await cancelAccountDeletion(user);
+
+  if (!cancelled) {
+    return res.status(400).json({ error: 'No account deletion is scheduled' });
+  }
+
+  res.json({ message: 'Account deletion cancelled', user });
+}));
+
+// @route   GET /api/users/me/export
+// @desc    Download everything stored about the current user as JSON
+// @access  Private
+router.get('/me/export', authenticate, requirePermission('user:read:own'), exportRateLimit, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const [sessions, tokens, follows] = await Promise.all([
+    Session.find({ user: user._id }).sort({ createdAt: 1 }),
+    PersonalAccessToken.find({ user: user._id }).sort({ createdAt: 1 }),
+    Follow.find({ follower: user._id }).populate('following', 'username').sort({ createdAt: 1 }).lean(),
+  ]);
+  const following = follows
+    .filter(follow => follow.following)
+    .map(follow => ({ username: follow.following.username, followedAt: follow.createdAt }));
+
+  const exportedAt = new Date();
+  const filename = `${user.username}-export-${exportedAt.toISOString().slice(0, 10)}.json`;
+
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store',
+  });
+
+  // Posts are streamed so large accounts are never held in memory at once;
+  // the cursor is closed as soon as the client goes away
+  const cursor = Post.find({ author: user._id }).sort({ createdAt: 1 }).cursor();
+  const closeCursor = () => {
+    cursor.close().catch(() => {});
+  };
+  res.once('close', closeCursor);
+
+  try {
+    await writeChunk(res, `{"exportedAt":${JSON.stringify(exportedAt)}`);
+    await writeChunk(res, `,"user":${JSON.stringify(user)}`);
+    await writeChunk(res, `,"sessions":${JSON.stringify(sessions)}`);
+    await writeChunk(res, `,"personalAccessTokens":${JSON.stringify(tokens)}`);
+    await writeChunk(res, `,"following":${JSON.stringify(following)}`);
+    await writeChunk(res, ',"posts":[');
+
+    let count = 0;
+    for await (const post of cursor) {
+      await writeChunk(res, `${count > 0 ? ',' : ''}${JSON.stringify(post)}`);
+      count += 1;
+    }
+
+    // A cursor closed by a disconnect simply ends early
+    if (res.destroyed) {
+      throw new Error('Client disconnected');
+    }
+
+    res.end(']}');
+
+    logger.info('Account data exported', { userId: user._id, posts: count });
+  } catch (error) {
+    if (res.destroyed) {
+      logger.info('Account export aborted by the client', { userId: user._id });
+      return;
+    }
+
+    // Headers are gone; all that is left is to cut the download short
+    logger.error('Account export failed', { userId: user._id, error: error.message });
+    res.destroy(error);
+  } finally {
+    res.off('close', closeCursor);
+    closeCursor();
+  }
+}));
+
+// @route   POST /api/users/me/password
+// @desc    Change the password and sign out every other session
+// @access  Private
+router.post('/me/password', authenticate, requirePermission('user:update:own'), passwordRateLimit, changePasswordValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user.userId).select('+password');
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const isPasswordValid = await user.comparePassword(currentPassword);
+  if (!isPasswordValid) {
+    logger.warn('Password change failed: Incorrect current password', { userId: user._id });
+    await recordAuditEvent(req, 'password.change', { outcome: 'failure', details: { reason: 'invalid-password' } });
+    return res.status(400).json({ error: 'Current password is incorrect' });
+  }
+
+  if (currentPassword === newPassword) {
+    return res.status(400).json({ error: 'New password must be different from the current password' });
+  }
+
+  const passwordErrors = validatePassword(newPassword, user, { path: 'newPassword' });
+  if (passwordErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: passwordErrors
+    });
+  }
+
+  user.password = newPassword;
+  user.tokenVersion += 1;
+  await user.save();
+
+  // Everything issued so far is now invalid; hand this device a fresh pair
+  await revokeAllUserTokens(user._id);
+  const { token, refreshToken } = await startSession(user, req);
+
+  logger.info('Password changed', { userId: user._id });
+  await recordAuditEvent(req, 'password.change', { target: { type: 'user', id: user._id } });
+
+  res.json({
+    message: 'Password changed. Other sessions have been signed out.',
+    token,
+    refreshToken,
+  });
+}));
+
+// @route   GET /api/users/me/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get('/me/sessions', authenticate, requirePermission('user:read:own'), asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+  res.json({
+    sessions: sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: String(session._id) === req.user.sid,
+    })),
+  });
+}));
+
+// @route   DELETE /api/users/me/sessions/:id
+// @desc    Sign out one of the current user's devices
+// @access  Private
+router.delete('/me/sessions/:id', authenticate, requirePermission('user:update:own'), [
+  param('id').isMongoId().withMessage('Invalid session ID'),
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const revoked = await revokeSession(req.user.userId, req.params.id);
+
+  if (!revoked) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  logger.info('Session revoked', { userId: req.user.userId, sessionId: req.params.id });
+  await recordAuditEvent(req, 'session.revoke', { target: { type: 'session', id: req.params.id } });
+
+  res.json({ message: 'Session revoked' });
+}));
+
+// @route   GET /api/users/me/tokens
+// @desc    List the current user's personal access tokens
+// @access  Private
+router.get('/me/tokens', authenticate, requirePermission('user:read:own'), asyncHandler(async (req, res) => {
+  const tokens = await PersonalAccessToken.find({
+    user: req.user.userId,
+    revokedAt: null,
+  }).sort({ createdAt: -1 });
+
+  res.json({ tokens });
+}));
+
+// @route   POST /api/users/me/tokens
+// @desc    Create a personal access token; the token is only shown once
+// @access  Private
+router.post('/me/tokens', authenticate, requirePermission('user:update:own'), createTokenValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { name, scopes, expiresInDays = authConfig.personalAccessTokenTtlDays } = req.body;
+  const token = generatePersonalAccessToken();
+
+  const record = await PersonalAccessToken.create({
+    user: req.user.userId,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, 12),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  logger.info('Personal access token created', {
+    userId: req.user.userId,
+    tokenId: record._id,
+    scopes: record.scopes,
+  });
+  await recordAuditEvent(req, 'token.create', {
+    target: { type: 'token', id: record._id },
+    details: { name: record.name, scopes: record.scopes, expiresAt: record.expiresAt },
+  });
+
+  // The plain token is only ever returned here
+  res.status(201).json({ token: { ...record.toJSON(), token } });
+}));
+
+// @route   DELETE /api/users/me/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/me/tokens/:id', authenticate, requirePermission('user:update:own'), [
+  param('id').isMongoId().withMessage('Invalid token ID'),
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const result = await PersonalAccessToken.updateOne(
+    { _id: req.params.id, user: req.user.userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (result.modifiedCount === 0) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+
+  logger.info('Personal access token revoked', { userId: req.user.userId, tokenId: req.params.id });
+  await recordAuditEvent(req, 'token.revoke', { target: { type: 'token', id: req.params.id } });
+
+  res.json({ message: 'Token revoked' });
+}));
+
+// @route   GET /api/users/:username
+// @desc    Get the public profile of an author
+// @access  Public
+router.get('/:username', publicProfileValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await findPublicUser(req.params.username);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const [postCount, followerCount, followingCount] = await Promise.all([
+    Post.countDocuments(publicPostsFilter(user._id)),
+    Follow.countDocuments({ following: user._id }),
+    Follow.countDocuments({ follower: user._id }),
+  ]);
+
+  // Built field by field so private data can never slip through
+  res.json({
+    user: {
+      username: user.username,
+      fullName: user.fullName,
+      bio: user.profile.bio || null,
+      avatar: user.profile.avatar || null,
+      joinedAt: user.createdAt,
+      postCount,
+      followerCount,
+      followingCount,
+    },
+  });
+}));
+
+// @route   PUT /api/users/:username/follow
+// @desc    Follow an author
+// @access  Private
+router.put('/:username/follow', authenticate, requirePermission('user:update:own'), publicProfileValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const author = await findPublicUser(req.params.username);
+
+  if (!author) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (String(author._id) === String(req.user.userId)) {
+    return res.status(400).json({ error: 'You cannot follow yourself' });
+  }
+
+  // Following twice is a no-op
+  let created = false;
+  try {
+    const result = await Follow.updateOne(
+      { follower: req.user.userId, following: author._id },
+      { $setOnInsert: { follower: req.user.userId, following: author._id } },
+      { upsert: true }
+    );
+    created = result.upsertedCount > 0;
+  } catch (error) {
+    // A concurrent request inserted the same follow first
+    if (error.code !== 11000) throw error;
+  }
+
+  if (created) {
+    logger.info('Author followed', { userId: req.user.userId, authorId: author._id });
+  }
+
+  res.status(created ? 201 : 200).json({ following: true });
+}));
+
+// @route   DELETE /api/users/:username/follow
+// @desc    Unfollow an author
+// @access  Private
+router.delete('/:username/follow', authenticate, requirePermission('user:update:own'), publicProfileValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  // Unfollowing works even once the author is no longer public
+  const author = await User.findOne({ username: req.params.username }).select('_id');
+
+  if (!author) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const result = await Follow.deleteOne({ follower: req.user.userId, following: author._id });
+
+  if (result.deletedCount > 0) {
+    logger.info('Author unfollowed', { userId: req.user.userId, authorId: author._id });
+  }
+
+  res.json({ following: false });
+}));
+
+// @route   GET /api/users/:username/posts
+// @desc    Get the published posts of an author with pagination
+// @access  Public
+router.get('/:username/posts', [
+  ...publicProfileValidation,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const user = await findPublicUser(req.params.username);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const { page = 1, limit = 10 } = req.query;
+  const filter = publicPostsFilter(user._id);
+  const skip = (page - 1) * limit;
+
+  const [posts, total] = await Promise.all([
+    Post.find(filter)
+      .populate('author', 'username')
+      .populate('category', 'name slug')
+      .sort({ publishedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Post.countDocuments(filter),
+  ]);
+
+  res.json({
+    posts,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// server/src/routes/wellKnown.js - Well-known discovery documents
+
+const express = require('express');
+const { getJwks } = require('../utils/keyring');
+
+const router = express.Router();
+
+// @route   GET /.well-known/jwks.json
+// @desc    Public keys for verifying access tokens
+// @access  Public
+router.get('/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+module.exports = router;
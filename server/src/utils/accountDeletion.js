@@ -0,0 +1,202 @@
+// server/src/utils/accountDeletion.js - Self-service account deletion
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const authConfig = require('../config/auth');
+const { generateRefreshToken } = require('./auth');
+const { revokeAllUserTokens } = require('./tokens');
+const { sendAccountDeletionScheduledEmail } = require('./emails');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('AccountDeletion');
+
+/**
+ * Schedules the deletion of an account after the grace period and signs
+ * the user out everywhere, personal access tokens included
+ * @param {Object} user - The user document
+ * @returns {Date} When the account will be erased
+ */
+const scheduleAccountDeletion = async (user) => {
+  user.deletionScheduledFor = new Date(Date.now() + authConfig.accountDeletionGraceDays * 24 * 60 * 60 * 1000);
+  user.tokenVersion += 1;
+  await user.save({ validateBeforeSave: false });
+
+  await revokeAllUserTokens(user._id);
+  await PersonalAccessToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+  await sendAccountDeletionScheduledEmail(user);
+
+  logger.info('Account deletion scheduled', {
+    userId: user._id,
+    deletionScheduledFor: user.deletionScheduledFor,
+  });
+
+  return user.deletionScheduledFor;
+};
+
+/**
+ * Cancels a scheduled deletion during the grace period
+ * @param {Object} user - The user document
+ * @returns {boolean} False when no deletion was scheduled
+ */
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledFor) {
+    return false;
+  }
+
+  user.deletionScheduledFor = null;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('Account deletion cancelled', { userId: user._id });
+  return true;
+};
+
+/**
+ * Tells whether a username is reserved for the placeholder account
+ * @param {string} username - The requested username
+ * @returns {boolean}
+ */
+const isReservedUsername = (username) => {
+  return String(username).toLowerCase() === authConfig.deletedUserUsername.toLowerCase();
+};
+
+/**
+ * Tells whether an email address is reserved for the placeholder account
+ * @param {string} email - The requested email address
+ * @returns {boolean}
+ */
+const isReservedEmail = (email) => {
+  return String(email).toLowerCase() === authConfig.deletedUserEmail.toLowerCase();
+};
+
+const createPlaceholder = (username, email) => {
+  return User.create({
+    username,
+    email,
+    // Never handed out: the account cannot sign in
+    password: generateRefreshToken(),
+    isActive: false,
+    isSystem: true,
+  });
+};
+
+/**
+ * Returns the inactive placeholder account that posts of erased users are
+ * attributed to, creating it on first use. It is found by its isSystem flag,
+ * never by a username or email address someone else could hold.
+ * @returns {Object} The placeholder user document
+ */
+const getDeletedUserPlaceholder = async () => {
+  const existing = await User.findOne({ isSystem: true });
+  if (existing) return existing;
+
+  try {
+    return await createPlaceholder(authConfig.deletedUserUsername, authConfig.deletedUserEmail);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Created concurrently by another purge run
+  const created = await User.findOne({ isSystem: true });
+  if (created) return created;
+
+  // The configured username or email belongs to an account registered
+  // before they were reserved; fall back to unique ones
+  const suffix = crypto.randomBytes(4).toString('hex');
+  logger.warn('Placeholder username or email already taken, using a suffixed one', { suffix });
+
+  return createPlaceholder(
+    `${authConfig.deletedUserUsername.slice(0, 21)}_${suffix}`,
+    authConfig.deletedUserEmail.replace('@', `-${suffix}@`)
+  );
+};
+
+/**
+ * Erases an account: its posts and comments are deleted or reassigned to the
+ * placeholder according to configuration, then every record tied to the user is removed
+ * @param {Object} user - The user document
+ */
+const eraseAccount = async (user) => {
+  if (authConfig.accountDeletionPostPolicy === 'delete') {
+    const postIds = await Post.find({ author: user._id }).distinct('_id');
+    await Promise.all([
+      Comment.deleteMany({ post: { $in: postIds } }),
+      Reaction.deleteMany({ post: { $in: postIds } }),
+    ]);
+    await Post.deleteMany({ _id: { $in: postIds } });
+
+    // Comments on other posts become placeholders so their replies stay threaded
+    const commentIds = await Comment.find({ author: user._id, deletedAt: null }).distinct('_id');
+    for (const commentId of commentIds) {
+      await Comment.softDelete(commentId);
+    }
+  } else {
+    const placeholder = await getDeletedUserPlaceholder();
+    await Post.updateMany({ author: user._id }, { author: placeholder._id });
+    await Comment.updateMany({ author: user._id }, { author: placeholder._id });
+  }
+
+  // Reactions are personal, so they are withdrawn under either policy
+  const reactions = await Reaction.find({ user: user._id }).select('post type').lean();
+  for (const reaction of reactions) {
+    await Reaction.unreact(reaction.post, user._id, reaction.type);
+  }
+
+  // Revoked access tokens stay denylisted until they expire on their own
+  await revokeAllUserTokens(user._id);
+  await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    PersonalAccessToken.deleteMany({ user: user._id }),
+    LoginThrottle.deleteOne({ key: `account:${user._id}` }),
+    Follow.deleteMany({ $or: [{ follower: user._id }, { following: user._id }] }),
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+
+  logger.info('Account erased', {
+    userId: user._id,
+    postPolicy: authConfig.accountDeletionPostPolicy,
+  });
+};
+
+/**
+ * Erases every account whose grace period has ended. One failing account
+ * does not stop the others; it is retried on the next run.
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { erased, failed }
+ */
+const purgeDueAccounts = async (now = new Date()) => {
+  const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: now } });
+  let erased = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    try {
+      await eraseAccount(user);
+      erased += 1;
+    } catch (error) {
+      failed += 1;
+      logger.error('Failed to erase account', { userId: user._id, error: error.message });
+    }
+  }
+
+  return { erased, failed };
+};
+
+module.exports = {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  isReservedUsername,
+  isReservedEmail,
+  getDeletedUserPlaceholder,
+  eraseAccount,
+  purgeDueAccounts,
+};
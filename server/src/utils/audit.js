@@ -0,0 +1,49 @@
+// server/src/utils/audit.js - Security audit trail
+
+const AuditEvent = require('../models/AuditEvent');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Audit');
+
+/**
+ * Records a security event in the audit log. Failures to write the event
+ * are logged and never break the request that triggered it.
+ * @param {Object} req - The request, for actor, IP, user agent and request ID
+ * @param {string} action - One of AuditEvent.ACTIONS
+ * @param {Object} [event] - { outcome, actor, target, details }; actor defaults
+ *   to the authenticated user, target is a { type, id } pair
+ * @returns {Object|null} The stored event
+ */
+const recordAuditEvent = async (req, action, { outcome = 'success', actor, target, details } = {}) => {
+  const user = actor || (req.user && { _id: req.user.userId, username: req.user.username });
+  const success = outcome === 'success';
+
+  logger.auth(action, user ? String(user._id) : null, success, {
+    requestId: req.id,
+    ip: req.ip,
+    ...(target && { targetType: target.type, targetId: String(target.id) }),
+    ...details,
+  });
+
+  try {
+    return await AuditEvent.create({
+      action,
+      outcome,
+      actor: user ? user._id : null,
+      actorUsername: user ? user.username : undefined,
+      targetType: target && target.type,
+      targetId: target && target.id,
+      ip: req.ip,
+      userAgent: (req.get('User-Agent') || '').slice(0, 512),
+      requestId: req.id,
+      details,
+    });
+  } catch (error) {
+    logger.error('Failed to record audit event', { action, requestId: req.id, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  recordAuditEvent,
+};
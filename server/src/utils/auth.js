@@ -1,21 +1,104 @@
 // server/src/utils/auth.js - Authentication utilities
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth');
+const { getKeyring, findVerificationKey } = require('./keyring');
 
 /**
- * Generates a JWT token for a user
+ * Signs a JWT with the current key, naming it in the "kid" header
+ * @param {Object} payload - The claims
+ * @param {Object} options - jsonwebtoken sign options
+ * @returns {string} The JWT token
+ */
+const signToken = (payload, options) => {
+  const { signingKey } = getKeyring();
+  return jwt.sign(payload, signingKey.signingKey, {
+    ...options,
+    algorithm: signingKey.algorithm,
+    keyid: signingKey.kid,
+  });
+};
+
+/**
+ * Generates a short-lived JWT access token for a user
+ * @param {Object} user - The user object
+ * @param {Object} [options] - { sessionId } of the login session the token belongs to
+ * @returns {string} The JWT token
+ */
+const generateToken = (user, { sessionId } = {}) => {
+  const payload = { userId: user._id, username: user.username, role: user.role, tv: user.tokenVersion || 0 };
+  if (sessionId) payload.sid = String(sessionId);
+
+  return signToken(payload, { expiresIn: authConfig.accessTokenTtl, jwtid: crypto.randomUUID() });
+};
+
+/**
+ * Generates a short-lived token that only proves a partial login, e.g.
+ * a correct password while the second factor is still outstanding
  * @param {Object} user - The user object
+ * @param {string} purpose - What the token may be used for
  * @returns {string} The JWT token
  */
-const generateToken = (user) => {
-  return jwt.sign(
-    { userId: user._id, username: user.username },
-    process.env.JWT_SECRET || 'default-secret-key',
-    { expiresIn: '7d' }
+const generateChallengeToken = (user, purpose) => {
+  return signToken(
+    { userId: user._id, username: user.username, purpose },
+    { expiresIn: authConfig.challengeTokenTtl, jwtid: crypto.randomUUID() }
   );
 };
 
+/**
+ * Verifies a challenge token issued for a specific purpose
+ * @param {string} token - The JWT token
+ * @param {string} purpose - The expected purpose
+ * @returns {Object} The decoded token payload
+ */
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== purpose) {
+    throw new Error('Invalid token');
+  }
+  return decoded;
+};
+
+/**
+ * Generates an opaque refresh token
+ * @returns {string} The refresh token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+// Personal access tokens are opaque and recognisable by this prefix
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'pat_';
+
+/**
+ * Generates a personal access token
+ * @returns {string} The token
+ */
+const generatePersonalAccessToken = () => {
+  return `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+};
+
+/**
+ * Checks whether a bearer token is a personal access token rather than a JWT
+ * @param {string} token - The bearer token
+ * @returns {boolean} True for personal access tokens
+ */
+const isPersonalAccessToken = (token) => {
+  return typeof token === 'string' && token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+};
+
+/**
+ * Hashes an opaque token for storage
+ * @param {string} token - The plain token
+ * @returns {string} The SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Verifies a JWT token
  * @param {string} token - The JWT token
@@ -23,7 +106,14 @@ const generateToken = (user) => {
  */
 const verifyToken = (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key');
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new Error('Malformed token');
+    }
+
+    // Pin the algorithm to the key so a token cannot pick its own
+    const key = findVerificationKey(decoded.header);
+    return jwt.verify(token, key.verificationKey, { algorithms: [key.algorithm] });
   } catch (error) {
     throw new Error('Invalid token');
   }
@@ -49,6 +139,21 @@ const comparePassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
+// Hash of a random password, computed on first use
+let dummyPasswordHash;
+
+/**
+ * Compares a password against a throwaway hash, so a login for an unknown
+ * account costs the same bcrypt work as one with a wrong password
+ * @param {string} password - The plain text password
+ * @returns {boolean} Always false
+ */
+const compareDummyPassword = async (password) => {
+  dummyPasswordHash = dummyPasswordHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+  await comparePassword(password, await dummyPasswordHash);
+  return false;
+};
+
 /**
  * Extracts token from Authorization header
  * @param {string} authHeader - The Authorization header
@@ -63,8 +168,15 @@ const extractToken = (authHeader) => {
 
 module.exports = {
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRefreshToken,
+  generatePersonalAccessToken,
+  isPersonalAccessToken,
+  hashToken,
   verifyToken,
   hashPassword,
   comparePassword,
+  compareDummyPassword,
   extractToken,
 };
\ No newline at end of file
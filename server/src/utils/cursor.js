@@ -0,0 +1,49 @@
+// server/src/utils/cursor.js - Opaque cursors for keyset pagination
+
+const mongoose = require('mongoose');
+
+/**
+ * Encodes the position after a document sorted by { publishedAt: -1, _id: -1 }
+ * @param {Object} doc - The last document of a page
+ * @returns {string} An opaque, URL-safe cursor
+ */
+const encodeCursor = (doc) => {
+  return Buffer.from(`${doc.publishedAt.toISOString()}|${doc._id}`).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - The cursor
+ * @returns {Object|null} { publishedAt, id }, or null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const publishedAt = new Date(timestamp);
+
+  if (!id || Number.isNaN(publishedAt.getTime()) || !mongoose.isObjectIdOrHexString(id)) {
+    return null;
+  }
+
+  return { publishedAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Query condition selecting the documents after a decoded cursor. The
+ * top-level publishedAt bound lets an index on publishedAt limit the scan;
+ * the $or only settles ties within the cursor's millisecond.
+ * @param {Object} position - The decoded cursor
+ * @returns {Object} A MongoDB filter
+ */
+const afterCursor = ({ publishedAt, id }) => ({
+  publishedAt: { $lte: publishedAt },
+  $or: [
+    { publishedAt: { $lt: publishedAt } },
+    { _id: { $lt: id } },
+  ],
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+};
@@ -0,0 +1,145 @@
+// server/src/utils/emails.js - Transactional email messages
+
+const authConfig = require('../config/auth');
+const { sendMail } = require('./mailer');
+
+/**
+ * Sends a password reset link to a user
+ * @param {Object} user - The user document
+ * @param {string} token - The plain reset token
+ * @param {Object} [options] - { forced } when an administrator requires the reset
+ */
+const sendPasswordResetEmail = (user, token, { forced = false } = {}) => {
+  const link = `${authConfig.clientUrl}/reset-password?token=${token}`;
+  const intro = forced
+    ? 'An administrator requires you to choose a new password before you can sign in again:'
+    : 'We received a request to reset your password. Use the link below to choose a new one:';
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      intro,
+      link,
+      '',
+      `The link expires in ${authConfig.passwordResetTtlMinutes} minutes and can only be used once.`,
+      'If you did not request a reset you can ignore this email.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Sends an email address verification link to a user
+ * @param {Object} user - The user document
+ * @param {string} token - The plain verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = `${authConfig.clientUrl}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      `The link expires in ${authConfig.emailVerificationTtlHours} hours.`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Sends a verification link to the new address of a pending email change
+ * @param {Object} user - The user document, with pendingEmail set
+ * @param {string} token - The plain verification token
+ */
+const sendEmailChangeVerification = (user, token) => {
+  const link = `${authConfig.clientUrl}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.pendingEmail,
+    subject: 'Confirm your new email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm this as the new email address of your account by opening the link below:',
+      link,
+      '',
+      `The link expires in ${authConfig.emailVerificationTtlHours} hours.`,
+      'Until then you keep signing in with your current address.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Tells the current address that a change of email was requested
+ * @param {Object} user - The user document, with pendingEmail set
+ */
+const sendEmailChangeNotice = (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your email address is being changed',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `A change of your account email to ${user.pendingEmail} was requested.`,
+      'The change only takes effect once the new address is confirmed.',
+      '',
+      `If this was not you, reset your password: ${authConfig.clientUrl}/forgot-password`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Notifies a user that their account was locked after failed logins
+ * @param {Object} user - The user document
+ * @param {Object} details - { ip, lockedUntil }
+ */
+const sendAccountLockedEmail = (user, { ip, lockedUntil }) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your account has been temporarily locked',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'We locked your account after several failed login attempts.',
+      `Last attempt from IP address: ${ip}`,
+      `You can try again after ${lockedUntil.toISOString()}.`,
+      '',
+      `If this was not you, consider resetting your password: ${authConfig.clientUrl}/forgot-password`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Confirms a deletion request and explains how to cancel it
+ * @param {Object} user - The user document, with deletionScheduledFor set
+ */
+const sendAccountDeletionScheduledEmail = (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Your account and its data will be permanently deleted on ${user.deletionScheduledFor.toISOString()}.`,
+      'You have been signed out on every device.',
+      '',
+      'Changed your mind? Sign in before that date and cancel the deletion from your account settings.',
+      `Signing in alone does not cancel it: ${authConfig.clientUrl}/login`,
+    ].join('\n'),
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeVerification,
+  sendEmailChangeNotice,
+  sendAccountLockedEmail,
+  sendAccountDeletionScheduledEmail,
+};
@@ -0,0 +1,197 @@
+// server/src/utils/keyring.js - JWT signing and verification keys
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const authConfig = require('../config/auth');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Keyring');
+
+// Only used outside production when nothing is configured
+const DEVELOPMENT_SECRET = 'default-secret-key';
+
+// Key ID of the shared secret from JWT_SECRET; tokens without a kid
+// header were signed with it before key rotation existed
+const SECRET_KEY_ID = 'secret';
+
+const CURVE_ALGORITHMS = {
+  prime256v1: 'ES256',
+};
+
+/**
+ * Picks the JWS algorithm for an asymmetric key
+ * @param {KeyObject} key - A public or private key
+ * @returns {string} RS256 or ES256
+ */
+const algorithmFor = (key) => {
+  const type = key.asymmetricKeyType;
+
+  if (type === 'rsa') {
+    return 'RS256';
+  }
+
+  if (type === 'ec') {
+    const algorithm = CURVE_ALGORITHMS[key.asymmetricKeyDetails.namedCurve];
+    if (algorithm) return algorithm;
+  }
+
+  throw new Error(`Unsupported JWT key type: ${type}`);
+};
+
+/**
+ * Loads a PEM file holding a private key (sign and verify) or only a
+ * public key (verify tokens signed by a retired key)
+ * @param {string} kid - The key ID
+ * @param {string} pem - The PEM content
+ * @returns {Object} The key entry
+ */
+const loadPemKey = (kid, pem) => {
+  let privateKey = null;
+  let publicKey;
+
+  if (pem.includes('PRIVATE KEY')) {
+    privateKey = crypto.createPrivateKey(pem);
+    publicKey = crypto.createPublicKey(privateKey);
+  } else {
+    publicKey = crypto.createPublicKey(pem);
+  }
+
+  return {
+    kid,
+    algorithm: algorithmFor(publicKey),
+    signingKey: privateKey,
+    verificationKey: publicKey,
+  };
+};
+
+/**
+ * Builds a keyring from PEM files named "<kid>.pem" and/or a shared secret
+ * @param {Object} options - { keysDir, signingKeyId, secret, production }
+ * @returns {Object} { signingKey, keys: Map<kid, key>, legacyKey }
+ */
+const createKeyring = ({ keysDir, signingKeyId, secret, production = false } = {}) => {
+  const keys = new Map();
+
+  if (keysDir) {
+    const files = fs.readdirSync(keysDir).filter(file => file.endsWith('.pem')).sort();
+    for (const file of files) {
+      const kid = path.basename(file, '.pem');
+      keys.set(kid, loadPemKey(kid, fs.readFileSync(path.join(keysDir, file), 'utf8')));
+    }
+  }
+
+  let legacyKey = null;
+  if (secret || (!production && keys.size === 0)) {
+    if (!secret) {
+      logger.warn('No JWT key configured, using the insecure development secret');
+    }
+    legacyKey = {
+      kid: SECRET_KEY_ID,
+      algorithm: 'HS256',
+      signingKey: secret || DEVELOPMENT_SECRET,
+      verificationKey: secret || DEVELOPMENT_SECRET,
+    };
+    keys.set(SECRET_KEY_ID, legacyKey);
+  }
+
+  const candidates = [...keys.values()].filter(key => key.signingKey);
+  let signingKey;
+
+  if (signingKeyId) {
+    signingKey = keys.get(signingKeyId);
+    if (!signingKey || !signingKey.signingKey) {
+      throw new Error(`JWT signing key "${signingKeyId}" not found or has no private key`);
+    }
+  } else if (candidates.length === 1) {
+    signingKey = candidates[0];
+  } else if (candidates.length > 1) {
+    throw new Error('Several JWT signing keys found; set JWT_SIGNING_KEY_ID to choose one');
+  } else {
+    throw new Error('No JWT signing key configured; set JWT_KEYS_DIR or JWT_SECRET');
+  }
+
+  return { signingKey, keys, legacyKey };
+};
+
+let keyring;
+
+/**
+ * Loads the keyring from configuration. Called at startup so a missing key
+ * stops the server instead of surfacing on the first login.
+ * @returns {Object} The keyring
+ */
+const loadKeyring = () => {
+  keyring = createKeyring({
+    keysDir: authConfig.jwtKeysDir,
+    signingKeyId: authConfig.jwtSigningKeyId,
+    secret: authConfig.jwtSecret,
+    production: process.env.NODE_ENV === 'production',
+  });
+
+  logger.info('JWT keyring loaded', {
+    signingKeyId: keyring.signingKey.kid,
+    algorithm: keyring.signingKey.algorithm,
+    keyIds: [...keyring.keys.keys()],
+  });
+
+  return keyring;
+};
+
+/**
+ * Returns the loaded keyring, loading it on first use
+ * @returns {Object} The keyring
+ */
+const getKeyring = () => keyring || loadKeyring();
+
+/**
+ * Replaces the keyring, e.g. with one built by createKeyring in tests
+ * @param {Object} next - The keyring, or null to reload from configuration
+ */
+const setKeyring = (next) => {
+  keyring = next;
+};
+
+/**
+ * Finds the key a JWT claims to be signed with
+ * @param {Object} header - The decoded JWT header
+ * @returns {Object} The key entry
+ */
+const findVerificationKey = (header) => {
+  const { keys, legacyKey } = getKeyring();
+  const key = header.kid ? keys.get(header.kid) : legacyKey;
+
+  if (!key) {
+    throw new Error('Unknown JWT signing key');
+  }
+
+  return key;
+};
+
+/**
+ * Public keys in JWK Set format, for /.well-known/jwks.json
+ * @returns {Object} { keys: [...] }
+ */
+const getJwks = () => {
+  const { keys } = getKeyring();
+
+  return {
+    keys: [...keys.values()]
+      .filter(key => key.algorithm !== 'HS256')
+      .map(key => ({
+        ...key.verificationKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig',
+      })),
+  };
+};
+
+module.exports = {
+  createKeyring,
+  loadKeyring,
+  getKeyring,
+  setKeyring,
+  findVerificationKey,
+  getJwks,
+};
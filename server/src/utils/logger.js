@@ -98,6 +98,7 @@ const createLogger = (context) => ({
       url,
       statusCode,
       responseTime,
+      requestId: req.id,
       ip,
       userAgent: req.get('User-Agent'),
     });
@@ -0,0 +1,149 @@
+// server/src/utils/loginThrottle.js - Brute-force protection for logins
+
+const LoginThrottle = require('../models/LoginThrottle');
+const authConfig = require('../config/auth');
+const { sendAccountLockedEmail } = require('./emails');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('LoginThrottle');
+
+const accountKey = (userId) => `account:${userId}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Computes the delay an IP has to wait after a number of failed logins.
+ * The delay doubles with every failure past the threshold.
+ * @param {number} failures - Failed attempts in the current window
+ * @returns {number} The delay in seconds
+ */
+const computeDelaySeconds = (failures) => {
+  const excess = failures - authConfig.loginIpDelayAfterFailures;
+  if (excess < 0) return 0;
+  return Math.min(2 ** excess, authConfig.loginMaxDelaySeconds);
+};
+
+/**
+ * Checks whether a login attempt may proceed
+ * @param {Object} params - { ip, userId }
+ * @returns {Object|null} Null when allowed, otherwise { status, error, retryAfter }
+ */
+const checkLoginAllowed = async ({ ip, userId }) => {
+  const now = Date.now();
+  const keys = [ipKey(ip)];
+  if (userId) keys.push(accountKey(userId));
+
+  const records = await LoginThrottle.find({ key: { $in: keys } }).lean();
+  const account = records.find(record => record.key.startsWith('account:'));
+  const address = records.find(record => record.key.startsWith('ip:'));
+
+  if (account && account.lockedUntil && account.lockedUntil.getTime() > now) {
+    return {
+      status: 423,
+      error: 'Account temporarily locked due to too many failed login attempts',
+      retryAfter: Math.ceil((account.lockedUntil.getTime() - now) / 1000),
+    };
+  }
+
+  if (address && address.expiresAt.getTime() > now) {
+    const availableAt = address.lastFailureAt.getTime() + computeDelaySeconds(address.failures) * 1000;
+    if (availableAt > now) {
+      return {
+        status: 429,
+        error: 'Too many failed login attempts. Please try again later',
+        retryAfter: Math.ceil((availableAt - now) / 1000),
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Atomically counts a failure for a key, restarting the count once the
+ * previous window has expired
+ */
+const incrementFailures = (key, now) => {
+  const windowEnd = new Date(now.getTime() + authConfig.loginFailureWindowMinutes * 60 * 1000);
+
+  return LoginThrottle.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        failures: {
+          $cond: [
+            { $gt: ['$expiresAt', now] },
+            { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+            1,
+          ],
+        },
+        lastFailureAt: now,
+        expiresAt: { $max: [windowEnd, { $ifNull: ['$lockedUntil', windowEnd] }] },
+      },
+    }],
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Records a failed login for an IP and, when known, the targeted account.
+ * Locks the account and notifies its owner once the threshold is reached.
+ * @param {Object} params - { ip, user }
+ * @returns {Object} { locked } - Whether this failure locked the account
+ */
+const recordLoginFailure = async ({ ip, user }) => {
+  const now = new Date();
+  await incrementFailures(ipKey(ip), now);
+
+  if (!user) {
+    return { locked: false };
+  }
+
+  const record = await incrementFailures(accountKey(user._id), now);
+  if (record.failures < authConfig.loginMaxAccountFailures) {
+    return { locked: false };
+  }
+
+  const lockedUntil = new Date(now.getTime() + authConfig.accountLockoutMinutes * 60 * 1000);
+
+  // Only the request that actually sets the lock sends the notification
+  const result = await LoginThrottle.updateOne(
+    {
+      _id: record._id,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { lockedUntil, failures: 0, expiresAt: lockedUntil }
+  );
+
+  if (result.modifiedCount === 0) {
+    return { locked: false };
+  }
+
+  logger.warn('Account locked after repeated login failures', {
+    userId: user._id,
+    ip,
+    lockedUntil,
+  });
+
+  try {
+    await sendAccountLockedEmail(user, { ip, lockedUntil });
+  } catch (error) {
+    logger.error('Failed to send lockout notification', { userId: user._id, error: error.message });
+  }
+
+  return { locked: true, lockedUntil };
+};
+
+/**
+ * Clears the failure counter of an account after a successful login
+ * @param {string} userId - The user ID
+ */
+const recordLoginSuccess = (userId) => {
+  return LoginThrottle.deleteOne({ key: accountKey(userId) });
+};
+
+module.exports = {
+  computeDelaySeconds,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
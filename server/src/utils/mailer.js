@@ -0,0 +1,104 @@
+// server/src/utils/mailer.js - Mail delivery with pluggable transports
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Mailer');
+
+/**
+ * Creates a transport that writes every message as a JSON file to a local
+ * outbox directory. Used in development and tests instead of real delivery.
+ * @param {string} directory - The outbox directory
+ * @returns {Object} The transport
+ */
+const createOutboxTransport = (directory) => ({
+  name: 'outbox',
+  directory,
+
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(directory, `${id}.json`);
+    await fs.writeFile(file, JSON.stringify({ id, ...message }, null, 2));
+
+    return { id, file };
+  },
+
+  async read() {
+    let files;
+    try {
+      files = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(async file => JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'))));
+
+    return messages;
+  },
+
+  async clear() {
+    await fs.rm(directory, { recursive: true, force: true });
+  },
+});
+
+let transport = createOutboxTransport(
+  process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox')
+);
+
+/**
+ * Replaces the active transport. A transport is any object with an
+ * async send(message) method.
+ * @param {Object} nextTransport - The transport to use
+ */
+const setTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = nextTransport;
+};
+
+/**
+ * Returns the active transport
+ * @returns {Object} The transport
+ */
+const getTransport = () => transport;
+
+/**
+ * Sends a mail message through the active transport
+ * @param {Object} message - The message ({ to, subject, text, html })
+ * @returns {Object} Transport specific delivery information
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@mern-testing.local',
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date().toISOString(),
+  };
+
+  try {
+    const result = await transport.send(message);
+    logger.info('Mail sent', { to, subject, transport: transport.name });
+    return result;
+  } catch (error) {
+    logger.error('Mail delivery failed', { to, subject, error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  createOutboxTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+};
@@ -0,0 +1,166 @@
+// server/src/utils/passwordPolicy.js - Password strength rules
+
+const crypto = require('crypto');
+const fs = require('fs');
+const authConfig = require('../config/auth');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('PasswordPolicy');
+
+// bcrypt silently ignores everything after the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+// Breached passwords are kept as sorted, truncated SHA-1 digests
+const ENTRY_BYTES = 8;
+
+const SHA1_LINE = /^([0-9a-f]{40})(:\d+)?$/i;
+
+const CHARACTER_CLASSES = [
+  /[a-z]/,
+  /[A-Z]/,
+  /[0-9]/,
+  /[^a-zA-Z0-9]/,
+];
+
+const digest = (value) => {
+  return crypto.createHash('sha1').update(value, 'utf8').digest().subarray(0, ENTRY_BYTES);
+};
+
+/**
+ * Builds a compact lookup structure from SHA-1 digests: one sorted buffer
+ * of fixed-size prefixes searched with a binary search
+ * @param {Buffer[]} digests - SHA-1 digests (at least ENTRY_BYTES long)
+ * @returns {Object} { size, has(password) }
+ */
+const createBreachedPasswordList = (digests) => {
+  const sorted = digests
+    .map(entry => entry.subarray(0, ENTRY_BYTES))
+    .sort(Buffer.compare)
+    .filter((entry, index, all) => index === 0 || !entry.equals(all[index - 1]));
+  const table = Buffer.concat(sorted);
+  const size = sorted.length;
+
+  const contains = (needle) => {
+    let low = 0;
+    let high = size - 1;
+
+    while (low <= high) {
+      const middle = (low + high) >>> 1;
+      const start = middle * ENTRY_BYTES;
+      const order = Buffer.compare(table.subarray(start, start + ENTRY_BYTES), needle);
+
+      if (order === 0) return true;
+      if (order < 0) low = middle + 1;
+      else high = middle - 1;
+    }
+
+    return false;
+  };
+
+  return {
+    size,
+    has: (password) => contains(digest(password)) || contains(digest(password.toLowerCase())),
+  };
+};
+
+/**
+ * Parses a breached password list: one password per line, or an uppercase
+ * SHA-1 hash optionally followed by ":count". Lines starting with # are comments.
+ * @param {string} content - The file content
+ * @returns {Object} The lookup structure
+ */
+const parseBreachedPasswordList = (content) => {
+  const digests = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const hashed = line.match(SHA1_LINE);
+    digests.push(hashed ? Buffer.from(hashed[1], 'hex') : digest(line.toLowerCase()));
+  }
+
+  return createBreachedPasswordList(digests);
+};
+
+let breachedPasswords;
+
+/**
+ * Returns the configured breached password list, loading it on first use
+ * @returns {Object} The lookup structure
+ */
+const getBreachedPasswordList = () => {
+  if (breachedPasswords) return breachedPasswords;
+
+  const file = authConfig.breachedPasswordsFile;
+  if (!file) {
+    breachedPasswords = createBreachedPasswordList([]);
+    return breachedPasswords;
+  }
+
+  try {
+    breachedPasswords = parseBreachedPasswordList(fs.readFileSync(file, 'utf8'));
+    logger.info('Breached password list loaded', { file, entries: breachedPasswords.size });
+  } catch (error) {
+    logger.error('Failed to load breached password list', { file, error: error.message });
+    breachedPasswords = createBreachedPasswordList([]);
+  }
+
+  return breachedPasswords;
+};
+
+/**
+ * Checks a password against the policy
+ * @param {string} password - The candidate password
+ * @param {Object} [identity] - { username, email } the password must not contain
+ * @param {Object} [options] - { path, breachedPasswords }
+ * @returns {Object[]} One { path, rule, msg } entry per violated rule
+ */
+const validatePassword = (password, { username, email } = {}, options = {}) => {
+  const { path = 'password', breachedPasswords: list = getBreachedPasswordList() } = options;
+  const violations = [];
+  const fail = (rule, msg) => violations.push({ path, rule, msg });
+
+  if (typeof password !== 'string' || password.length === 0) {
+    fail('required', 'Password is required');
+    return violations;
+  }
+
+  if (password.length < authConfig.passwordMinLength) {
+    fail('minLength', `Password must be at least ${authConfig.passwordMinLength} characters long`);
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+    fail('maxLength', `Password cannot exceed ${MAX_PASSWORD_BYTES} bytes`);
+  }
+
+  const classes = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+  if (classes < authConfig.passwordMinCharacterClasses) {
+    fail(
+      'characterClasses',
+      `Password must mix at least ${authConfig.passwordMinCharacterClasses} of lowercase letters, uppercase letters, digits and symbols`
+    );
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = [username, email && email.split('@')[0]]
+    .filter(value => value && value.length >= 3)
+    .map(value => value.toLowerCase());
+  if (personal.some(value => lowered.includes(value))) {
+    fail('personalInfo', 'Password must not contain your username or email');
+  }
+
+  if (list.has(password)) {
+    fail('breached', 'This password has appeared in a data breach. Please choose another one');
+  }
+
+  return violations;
+};
+
+module.exports = {
+  MAX_PASSWORD_BYTES,
+  createBreachedPasswordList,
+  parseBreachedPasswordList,
+  getBreachedPasswordList,
+  validatePassword,
+};
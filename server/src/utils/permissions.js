@@ -0,0 +1,97 @@
+// server/src/utils/permissions.js - Permission checks
+
+const rolePermissions = require('../config/permissions');
+const tokenScopes = require('../config/scopes');
+
+/**
+ * Checks whether a role grants a permission exactly as named
+ * @param {string} role - The role
+ * @param {string} permission - The permission, e.g. "post:update:any"
+ * @returns {boolean} True if granted
+ */
+const hasPermission = (role, permission) => {
+  const permissions = rolePermissions[role];
+  return Boolean(permissions && permissions.includes(permission));
+};
+
+/**
+ * Checks whether any of a personal access token's scopes grants a permission
+ * @param {string[]} scopes - The token scopes
+ * @param {string} permission - The permission, e.g. "post:create"
+ * @returns {boolean} True if granted
+ */
+const scopesGrant = (scopes, permission) => {
+  return scopes.some(scope => (tokenScopes[scope] || []).includes(permission));
+};
+
+/**
+ * Checks a permission for an authenticated user: the role must grant it
+ * and, for personal access tokens, so must one of the token's scopes
+ */
+const userHasPermission = (user, permission) => {
+  return hasPermission(user.role, permission)
+    && (!user.scopes || scopesGrant(user.scopes, permission));
+};
+
+/**
+ * Returns the ID of the user owning a resource. Posts are owned by their
+ * author, most other documents by their user; a user owns itself.
+ * @param {Object} resource - The resource (document or plain object)
+ * @returns {string|null} The owner ID
+ */
+const getOwnerId = (resource) => {
+  if (!resource) return null;
+
+  const owner = resource.author || resource.user || resource.owner;
+  if (owner) {
+    return String(owner._id || owner);
+  }
+
+  return resource.username && resource._id ? String(resource._id) : null;
+};
+
+/**
+ * Checks whether a user may perform an action, optionally on a resource.
+ * "post:update" is allowed by "post:update:any", or by "post:update:own"
+ * when the user owns the resource. Unscoped permissions such as
+ * "post:create" must be granted as named. Users authenticated with a
+ * personal access token are further limited to the token's scopes.
+ * @param {Object} user - The authenticated user ({ userId, role, scopes })
+ * @param {string} permission - The permission without scope
+ * @param {Object} [resource] - The resource the action applies to
+ * @returns {boolean} True if allowed
+ */
+const can = (user, permission, resource) => {
+  if (!user || !user.role) return false;
+
+  if (userHasPermission(user, permission) || userHasPermission(user, `${permission}:any`)) {
+    return true;
+  }
+
+  return Boolean(resource)
+    && userHasPermission(user, `${permission}:own`)
+    && getOwnerId(resource) === String(user.userId);
+};
+
+/**
+ * Checks whether a user may see a post. Drafts, scheduled and archived
+ * posts are only visible to their author, whatever the scopes of the
+ * token used, and to those who may edit any post.
+ * @param {Object} [user] - The authenticated user, if any
+ * @param {Object} post - The post, with status and author
+ * @returns {boolean} True if visible
+ */
+const canViewPost = (user, post) => {
+  if (post.status === 'published') return true;
+  if (!user) return false;
+
+  return getOwnerId(post) === String(user.userId) || can(user, 'post:update', post);
+};
+
+module.exports = {
+  hasPermission,
+  scopesGrant,
+  getOwnerId,
+  can,
+  canViewPost,
+};
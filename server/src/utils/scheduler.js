@@ -0,0 +1,69 @@
+// server/src/utils/scheduler.js - In-process periodic jobs
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Scheduler');
+
+const jobs = new Map();
+
+/**
+ * Runs a task every interval. A run is skipped while the previous one is
+ * still in progress, and failures are logged instead of crashing the process.
+ * @param {string} name - Job name, used in logs and to stop the job
+ * @param {number} intervalMs - Delay between two runs in milliseconds
+ * @param {Function} task - Async function to run
+ * @returns {Object} The job; run() triggers it immediately
+ */
+const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      logger.warn('Job still running, skipping this run', { job: name });
+      return;
+    }
+
+    running = true;
+    const startedAt = Date.now();
+    try {
+      const result = await task();
+      logger.debug('Job finished', { job: name, duration: Date.now() - startedAt, result });
+    } catch (error) {
+      logger.error('Job failed', { job: name, error: error.message, stack: error.stack });
+    } finally {
+      running = false;
+    }
+  };
+
+  // Jobs must never keep the process alive on shutdown
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  const job = { name, intervalMs, run, timer };
+  jobs.set(name, job);
+
+  logger.info('Job scheduled', { job: name, intervalMs });
+
+  return job;
+};
+
+/**
+ * Stops a job, or every job when no name is given
+ * @param {string} [name] - The job name
+ */
+const stopJobs = (name) => {
+  for (const job of jobs.values()) {
+    if (name && job.name !== name) continue;
+    clearInterval(job.timer);
+    jobs.delete(job.name);
+  }
+};
+
+module.exports = {
+  scheduleJob,
+  stopJobs,
+};
@@ -0,0 +1,34 @@
+// server/src/utils/streams.js - Helpers for streamed responses
+
+/**
+ * Writes to a streamed response, waiting when the client reads slowly.
+ * Rejects once the client has gone, so the caller stops producing data.
+ * @param {Object} res - Writable response
+ * @param {string} chunk - Data to write
+ * @returns {Promise} Resolves when more data may be written
+ */
+const writeChunk = (res, chunk) => {
+  if (res.destroyed) {
+    return Promise.reject(new Error('Client disconnected'));
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Client disconnected'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+};
+
+module.exports = {
+  writeChunk,
+};
@@ -0,0 +1,264 @@
+// server/src/utils/tokens.js - Access/refresh token lifecycle
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const { generateToken, generateRefreshToken, hashToken } = require('./auth');
+const { describeDevice } = require('./userAgent');
+const { recordAuditEvent } = require('./audit');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Tokens');
+
+/**
+ * Error raised when a refresh token cannot be used
+ */
+class TokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+const refreshExpiry = () => new Date(Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Issues an access token and a persisted refresh token for a user
+ * @param {Object} user - The user document
+ * @param {string} family - Token family, which is the ID of the login session
+ * @returns {Object} The token pair and the stored refresh token record
+ */
+const issueTokenPair = async (user, family) => {
+  // Families created before sessions existed are random UUIDs and have no session
+  const sessionId = mongoose.isObjectIdOrHexString(family) ? family : undefined;
+  const token = generateToken(user, { sessionId });
+  const { jti, exp } = jwt.decode(token);
+  const refreshToken = generateRefreshToken();
+  const expiresAt = refreshExpiry();
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt,
+    accessJti: jti,
+    accessExpiresAt: new Date(exp * 1000),
+  });
+
+  return {
+    token,
+    refreshToken,
+    record,
+  };
+};
+
+/**
+ * Records a new login session and issues its first token pair
+ * @param {Object} user - The user document
+ * @param {Object} req - The login request, for device, user agent and IP
+ * @returns {Object} The token pair, refresh token record and session
+ */
+const startSession = async (user, req) => {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 512);
+
+  const session = await Session.create({
+    user: user._id,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+
+  const pair = await issueTokenPair(user, session.id);
+  return { ...pair, session };
+};
+
+/**
+ * Revokes refresh tokens matching a filter and denylists the access
+ * tokens issued with them that have not expired yet
+ * @param {Object} filter - RefreshToken query
+ * @param {string} reason - Revocation reason
+ */
+const revokeRefreshTokens = async (filter, reason = 'revoked') => {
+  const records = await RefreshToken.find({
+    ...filter,
+    accessExpiresAt: { $gt: new Date() },
+  }).select('user accessJti accessExpiresAt');
+
+  await RevokedToken.revoke(records.map(record => ({
+    jti: record.accessJti,
+    user: record.user,
+    reason: reason === 'logout' ? 'logout' : 'revoked',
+    expiresAt: record.accessExpiresAt,
+  })));
+
+  await RefreshToken.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Denylists a single decoded access token
+ * @param {Object} decoded - The decoded access token payload
+ * @param {string} reason - Revocation reason
+ */
+const revokeAccessToken = (decoded, reason = 'revoked') => {
+  return RevokedToken.revoke({
+    jti: decoded.jti,
+    user: decoded.userId,
+    reason,
+    expiresAt: new Date(decoded.exp * 1000),
+  });
+};
+
+/**
+ * Ends a login session of a user and revokes its tokens
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - The session ID
+ * @param {string} reason - Revocation reason
+ * @returns {boolean} False when the user has no such active session
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await revokeRefreshTokens({ family: String(sessionId) }, reason);
+  return true;
+};
+
+/**
+ * Signs out the device an access token belongs to
+ * @param {Object} decoded - The decoded access token payload
+ */
+const logout = async (decoded) => {
+  await revokeAccessToken(decoded, 'logout');
+
+  if (decoded.sid) {
+    await revokeSession(decoded.userId, decoded.sid, 'logout');
+    return;
+  }
+
+  const record = decoded.jti && await RefreshToken.findOne({
+    user: decoded.userId,
+    accessJti: decoded.jti,
+  });
+
+  if (record) {
+    await revokeRefreshTokens({ family: record.family }, 'logout');
+  }
+};
+
+/**
+ * Signs a user out of every device
+ * @param {string} userId - The user ID
+ * @param {string} reason - Revocation reason
+ */
+const revokeAllUserTokens = async (userId, reason = 'revoked') => {
+  await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  await revokeRefreshTokens({ user: userId }, reason);
+};
+
+/**
+ * Revokes the token family of a refresh token that was used twice, ends its
+ * session and records the incident in the audit log
+ * @param {Object} req - The refresh request
+ * @param {Object} record - The reused refresh token record
+ * @param {string} reason - How the reuse was detected
+ */
+const revokeReusedFamily = async (req, record, reason) => {
+  await revokeRefreshTokens({ family: record.family }, 'reuse');
+
+  const sessionId = mongoose.isObjectIdOrHexString(record.family) ? record.family : undefined;
+  if (sessionId) {
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+  }
+
+  logger.warn('Refresh token reuse detected, family revoked', {
+    userId: record.user,
+    family: record.family,
+    reason,
+  });
+  await recordAuditEvent(req, 'token.reuse', {
+    outcome: 'failure',
+    actor: { _id: record.user },
+    target: sessionId && { type: 'session', id: sessionId },
+    details: { family: record.family, reason },
+  });
+};
+
+/**
+ * Exchanges a refresh token for a new token pair.
+ * Presenting a token that was already rotated revokes its whole family.
+ * @param {string} refreshToken - The plain refresh token
+ * @param {Object} req - The refresh request, for the audit trail
+ * @returns {Object} The new token pair and the user
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!record) {
+    throw new TokenError('Invalid refresh token', 'invalid');
+  }
+
+  if (record.revokedAt) {
+    if (record.revokedReason === 'rotated') {
+      await revokeReusedFamily(req, record, 'rotated-token');
+    }
+    throw new TokenError('Refresh token has been revoked', 'revoked');
+  }
+
+  if (record.expiresAt <= new Date()) {
+    throw new TokenError('Refresh token expired', 'expired');
+  }
+
+  // Claim the token atomically so concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await revokeReusedFamily(req, record, 'concurrent-use');
+    throw new TokenError('Refresh token has been revoked', 'revoked');
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive) {
+    await revokeRefreshTokens({ family: record.family });
+    throw new TokenError('Invalid refresh token', 'invalid');
+  }
+
+  const pair = await issueTokenPair(user, record.family);
+  claimed.replacedBy = pair.record._id;
+  await claimed.save();
+
+  if (mongoose.isObjectIdOrHexString(record.family)) {
+    await Session.updateOne({ _id: record.family }, { expiresAt: pair.record.expiresAt });
+  }
+
+  return { ...pair, user };
+};
+
+module.exports = {
+  TokenError,
+  issueTokenPair,
+  startSession,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeSession,
+  logout,
+  revokeAllUserTokens,
+};
@@ -0,0 +1,191 @@
+// server/src/utils/totp.js - RFC 6238 time-based one-time passwords
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+  step: 30, // seconds
+  digits: 6,
+  algorithm: 'sha1',
+  window: 1, // accepted steps before/after the current one
+};
+
+/**
+ * Encodes a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - The data to encode
+ * @returns {string} The base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - The base32 string
+ * @returns {Buffer} The decoded data
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a random base32 secret
+ * @param {number} size - Secret size in bytes
+ * @returns {string} The base32 secret
+ */
+const generateSecret = (size = 20) => {
+  return base32Encode(crypto.randomBytes(size));
+};
+
+/**
+ * Returns the time step a timestamp falls into
+ * @param {number} time - Unix time in milliseconds
+ * @param {number} step - Step size in seconds
+ * @returns {number} The step counter
+ */
+const getTimeStep = (time = Date.now(), step = DEFAULTS.step) => {
+  return Math.floor(time / 1000 / step);
+};
+
+/**
+ * Computes an RFC 4226 HOTP value for a counter
+ * @param {Buffer} key - The shared secret
+ * @param {number} counter - The moving factor
+ * @param {Object} options - { digits, algorithm }
+ * @returns {string} The zero-padded code
+ */
+const hotp = (key, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Generates the TOTP code for a secret at a given time
+ * @param {string} secret - The base32 secret
+ * @param {Object} options - { time, step, digits, algorithm }
+ * @returns {string} The code
+ */
+const generateTotp = (secret, options = {}) => {
+  const { time = Date.now(), step = DEFAULTS.step } = options;
+  return hotp(base32Decode(secret), getTimeStep(time, step), options);
+};
+
+/**
+ * Verifies a TOTP code, tolerating a small clock drift
+ * @param {string} secret - The base32 secret
+ * @param {string} code - The code to check
+ * @param {Object} options - { time, step, digits, algorithm, window }
+ * @returns {number|null} The matching time step, or null when invalid
+ */
+const verifyTotp = (secret, code, options = {}) => {
+  const {
+    time = Date.now(),
+    step = DEFAULTS.step,
+    digits = DEFAULTS.digits,
+    window = DEFAULTS.window,
+  } = options;
+
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, current + offset, options);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds an otpauth:// URI understood by authenticator apps
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} The URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULTS.algorithm.toUpperCase(),
+    digits: String(DEFAULTS.digits),
+    period: String(DEFAULTS.step),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generates human-friendly single-use recovery codes
+ * @param {number} count - Number of codes
+ * @returns {string[]} The plain codes
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+};
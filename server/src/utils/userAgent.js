@@ -0,0 +1,45 @@
+// server/src/utils/userAgent.js - Minimal user agent parsing for session labels
+
+// Order matters: several browsers include the tokens of the ones they derive from
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/[\d.]+/],
+  ['Opera', /OPR\/[\d.]+/],
+  ['Firefox', /(?:Firefox|FxiOS)\/[\d.]+/],
+  ['Chrome', /(?:Chrome|CriOS)\/[\d.]+/],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+  ['curl', /^curl\//],
+  ['Node.js', /^node-fetch|^axios|^undici|^node/i],
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+const match = (list, userAgent) => {
+  const entry = list.find(([, pattern]) => pattern.test(userAgent));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Describes the device behind a user agent string
+ * @param {string} userAgent - The User-Agent header
+ * @returns {string} A short label such as "Firefox on Linux"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+module.exports = {
+  describeDevice,
+};
@@ -0,0 +1,126 @@
+// server/src/utils/views.js - Deduplicated post view counting
+
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const viewConfig = require('../config/views');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Views');
+
+// "<postId>:<viewerKey>" -> time the view was last counted
+const recentViews = new Map();
+
+// postId -> views counted but not written yet
+const pendingViews = new Map();
+
+/**
+ * Identifies the viewer of a request: the user ID when signed in, otherwise
+ * a hash of the IP address and user agent so neither is kept in memory
+ * @param {Object} req - Express request
+ * @returns {string} The viewer key
+ */
+const getViewerKey = (req) => {
+  if (req.user) {
+    return `user:${req.user.userId}`;
+  }
+
+  const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+  return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex')}`;
+};
+
+/**
+ * Tells whether a request comes from a crawler or script rather than a reader
+ * @param {string} [userAgent] - The User-Agent header
+ * @returns {boolean}
+ */
+const isBot = (userAgent) => {
+  return !userAgent || viewConfig.botPattern.test(userAgent);
+};
+
+/**
+ * Counts a view of a post unless it comes from a bot, the author, or a
+ * viewer already counted within the dedupe window. Never throws and never
+ * waits for the database.
+ * @param {Object} req - Express request, with req.user set when signed in
+ * @param {Object} post - The post, with author as an ID or populated user
+ * @returns {boolean} True when the view was counted
+ */
+const recordView = (req, post) => {
+  if (isBot(req.get('user-agent'))) {
+    return false;
+  }
+
+  const authorId = String(post.author?._id || post.author);
+  if (req.user && req.user.userId === authorId) {
+    return false;
+  }
+
+  const now = Date.now();
+  const key = `${post._id}:${getViewerKey(req)}`;
+  const lastCounted = recentViews.get(key);
+  if (lastCounted && now - lastCounted < viewConfig.dedupeWindowMinutes * 60 * 1000) {
+    return false;
+  }
+  recentViews.set(key, now);
+
+  const postId = String(post._id);
+  if (viewConfig.bufferViews) {
+    pendingViews.set(postId, (pendingViews.get(postId) || 0) + 1);
+  } else {
+    Post.updateOne({ _id: postId }, { $inc: { viewCount: 1 } }).catch(error => {
+      logger.error('Failed to record view', { postId, error: error.message });
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Forgets viewers whose dedupe window has ended
+ * @param {number} [now] - Reference time in milliseconds
+ */
+const pruneRecentViews = (now = Date.now()) => {
+  const cutoff = now - viewConfig.dedupeWindowMinutes * 60 * 1000;
+  for (const [key, countedAt] of recentViews) {
+    if (countedAt <= cutoff) recentViews.delete(key);
+  }
+};
+
+/**
+ * Writes buffered view increments in one batch. Increments that fail to
+ * write are put back and retried on the next flush.
+ * @returns {number} Number of posts updated
+ */
+const flushViews = async () => {
+  pruneRecentViews();
+
+  if (pendingViews.size === 0) {
+    return 0;
+  }
+
+  const batch = [...pendingViews];
+  pendingViews.clear();
+
+  try {
+    await Post.bulkWrite(batch.map(([postId, count]) => ({
+      updateOne: {
+        filter: { _id: postId },
+        update: { $inc: { viewCount: count } },
+      },
+    })), { ordered: false });
+  } catch (error) {
+    for (const [postId, count] of batch) {
+      pendingViews.set(postId, (pendingViews.get(postId) || 0) + count);
+    }
+    throw error;
+  }
+
+  return batch.length;
+};
+
+module.exports = {
+  getViewerKey,
+  isBot,
+  recordView,
+  flushViews,
+};
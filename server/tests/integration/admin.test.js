@@ -0,0 +1,253 @@
+// admin.test.js - Integration tests for the admin user-management API
+
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const PersonalAccessToken = require('../../src/models/PersonalAccessToken');
+const { generateToken } = require('../../src/utils/auth');
+const { getDeletedUserPlaceholder } = require('../../src/utils/accountDeletion');
+const { createOutboxTransport, setTransport } = require('../../src/utils/mailer');
+
+let mongoServer;
+let admin;
+let adminToken;
+let user;
+let userToken;
+const outbox = createOutboxTransport(path.join(os.tmpdir(), `admin-outbox-${process.pid}`));
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+  setTransport(outbox);
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  adminToken = generateToken(admin);
+
+  user = await User.create({
+    username: 'regularuser',
+    email: 'regular@example.com',
+    password: 'password123',
+  });
+  userToken = generateToken(user);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+  await outbox.clear();
+});
+
+describe('GET /api/admin/users', () => {
+  it('should list users with pagination', async () => {
+    const res = await request(app)
+      .get('/api/admin/users?page=1&limit=1')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users).toHaveLength(1);
+    expect(res.body.pagination).toEqual({ page: 1, limit: 1, total: 2, pages: 2 });
+    expect(res.body.users[0]).not.toHaveProperty('password');
+  });
+
+  it('should search by username or email', async () => {
+    const byName = await request(app)
+      .get('/api/admin/users?q=REGULAR')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(byName.body.users).toHaveLength(1);
+    expect(byName.body.users[0].username).toBe('regularuser');
+
+    const byEmail = await request(app)
+      .get('/api/admin/users?q=admin@')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(byEmail.body.users).toHaveLength(1);
+    expect(byEmail.body.users[0].username).toBe('adminuser');
+  });
+
+  it('should return 403 for non-admins', async () => {
+    const res = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    const res = await request(app).get('/api/admin/users');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('PATCH /api/admin/users/:id/role', () => {
+  it('should change the role and revoke existing credentials', async () => {
+    await request(app)
+      .post('/api/users/me/tokens')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'script', scopes: ['posts:read'] });
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'regular@example.com', password: 'password123' });
+
+    const res = await request(app)
+      .patch(`/api/admin/users/${user._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('admin');
+
+    // Tokens issued under the old role cannot be used as the new admin
+    const list = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(list.status).toBe(401);
+
+    expect(await PersonalAccessToken.countDocuments({ user: user._id, revokedAt: null })).toBe(0);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it('should reject unknown roles', async () => {
+    const res = await request(app)
+      .patch(`/api/admin/users/${user._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'superuser' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should not let admins change their own role', async () => {
+    const res = await request(app)
+      .patch(`/api/admin/users/${admin._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'user' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/admin/users/:id/deactivate', () => {
+  it('should reject the deactivated user on requests and login', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${user._id}/deactivate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.isActive).toBe(false);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(me.status).toBe(401);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'regular@example.com', password: 'password123' });
+    expect(login.status).toBe(403);
+  });
+
+  it('should allow the user back in after reactivation', async () => {
+    await request(app)
+      .post(`/api/admin/users/${user._id}/deactivate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const res = await request(app)
+      .post(`/api/admin/users/${user._id}/activate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'regular@example.com', password: 'password123' });
+    expect(login.status).toBe(200);
+  });
+
+  it('should return 404 for unknown users', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${new mongoose.Types.ObjectId()}/deactivate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/admin/users/:id/reset-password', () => {
+  it('should block login until the user resets the password', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${user._id}/reset-password`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'regular@example.com', password: 'password123' });
+    expect(login.status).toBe(403);
+
+    const messages = await outbox.read();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].to).toBe('regular@example.com');
+    const token = messages[0].text.match(/token=([\w-]+)/)[1];
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'newpassword456' });
+
+    const retry = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'regular@example.com', password: 'newpassword456' });
+    expect(retry.status).toBe(200);
+  });
+});
+
+describe('System accounts', () => {
+  it('should not let admins reactivate, promote or reset the deleted-user placeholder', async () => {
+    const placeholder = await getDeletedUserPlaceholder();
+    const url = `/api/admin/users/${placeholder._id}`;
+
+    const activate = await request(app)
+      .post(`${url}/activate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    const role = await request(app)
+      .patch(`${url}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'admin' });
+    const reset = await request(app)
+      .post(`${url}/reset-password`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(activate.status).toBe(409);
+    expect(role.status).toBe(409);
+    expect(reset.status).toBe(409);
+
+    const stored = await User.findById(placeholder._id);
+    expect(stored.isActive).toBe(false);
+    expect(stored.role).toBe('user');
+    expect(await outbox.read()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,139 @@
+// audit.test.js - Integration tests for the security audit log
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const AuditEvent = require('../../src/models/AuditEvent');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let admin;
+let user;
+let adminToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  [admin, user] = await User.create([
+    { username: 'auditadmin', email: 'auditadmin@example.com', password: 'password123', role: 'admin' },
+    { username: 'audituser', email: 'audituser@example.com', password: 'password123' },
+  ]);
+  adminToken = generateToken(admin);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+describe('audit trail', () => {
+  it('should record successful and failed logins with the request ID', async () => {
+    const failed = await request(app)
+      .post('/api/auth/login')
+      .set('X-Request-Id', 'login-attempt-1')
+      .send({ email: 'audituser@example.com', password: 'wrong-password' });
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'audituser@example.com', password: 'password123' });
+
+    expect(failed.headers['x-request-id']).toBe('login-attempt-1');
+
+    const events = await AuditEvent.find({ action: 'login' }).sort({ createdAt: 1 });
+    expect(events.map(event => event.outcome)).toEqual(['failure', 'success']);
+    expect(events[0]).toMatchObject({
+      actorUsername: 'audituser',
+      requestId: 'login-attempt-1',
+      details: { reason: 'invalid-password' },
+    });
+    expect(String(events[1].actor)).toBe(String(user._id));
+  });
+
+  it('should record admin role changes with the target', async () => {
+    await request(app)
+      .patch(`/api/admin/users/${user._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'admin' });
+
+    const event = await AuditEvent.findOne({ action: 'user.role-change' });
+    expect(String(event.actor)).toBe(String(admin._id));
+    expect(event.targetType).toBe('user');
+    expect(String(event.targetId)).toBe(String(user._id));
+    expect(event.details).toMatchObject({ previousRole: 'user', role: 'admin' });
+  });
+
+  it('should refuse to change or remove recorded events', async () => {
+    const event = await AuditEvent.create({ action: 'logout', actor: user._id });
+
+    await expect(AuditEvent.updateOne({ _id: event._id }, { outcome: 'failure' })).rejects.toThrow('append-only');
+    await expect(AuditEvent.deleteMany({})).rejects.toThrow('append-only');
+
+    event.outcome = 'failure';
+    await expect(event.save()).rejects.toThrow('append-only');
+  });
+});
+
+describe('GET /api/admin/audit-events', () => {
+  beforeEach(async () => {
+    await AuditEvent.create([
+      { action: 'login', actor: user._id, createdAt: new Date('2024-01-01T10:00:00Z') },
+      { action: 'login', outcome: 'failure', actor: user._id, createdAt: new Date('2024-01-02T10:00:00Z') },
+      { action: 'post.delete', actor: admin._id, createdAt: new Date('2024-01-03T10:00:00Z') },
+    ]);
+  });
+
+  it('should list events newest first', async () => {
+    const res = await request(app)
+      .get('/api/admin/audit-events')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.events.map(event => event.action)).toEqual(['post.delete', 'login', 'login']);
+    expect(res.body.pagination.total).toBe(3);
+  });
+
+  it('should filter by actor, action and time range', async () => {
+    const res = await request(app)
+      .get('/api/admin/audit-events')
+      .query({
+        actor: String(user._id),
+        action: 'login',
+        from: '2024-01-02T00:00:00Z',
+        to: '2024-01-31T00:00:00Z',
+      })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.events).toHaveLength(1);
+    expect(res.body.events[0].outcome).toBe('failure');
+  });
+
+  it('should reject unknown actions', async () => {
+    const res = await request(app)
+      .get('/api/admin/audit-events?action=everything')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should be forbidden for regular users', async () => {
+    const res = await request(app)
+      .get('/api/admin/audit-events')
+      .set('Authorization', `Bearer ${generateToken(user)}`);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -1,17 +1,28 @@
 // auth.test.js - Integration tests for authentication endpoints
 
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const RevokedToken = require('../../src/models/RevokedToken');
+const LoginThrottle = require('../../src/models/LoginThrottle');
+const Session = require('../../src/models/Session');
+const AuditEvent = require('../../src/models/AuditEvent');
+const authConfig = require('../../src/config/auth');
+const { createOutboxTransport, setTransport } = require('../../src/utils/mailer');
 
 let mongoServer;
+const outbox = createOutboxTransport(path.join(os.tmpdir(), `auth-outbox-${process.pid}`));
 
 beforeAll(async () => {
   mongoServer = await MongoMemoryServer.create();
   const mongoUri = mongoServer.getUri();
   await mongoose.connect(mongoUri);
+  setTransport(outbox);
 }, 60000); // Increase timeout for MongoDB download
 
 afterAll(async () => {
@@ -25,6 +36,7 @@ afterEach(async () => {
     const collection = collections[key];
     await collection.deleteMany({});
   }
+  await outbox.clear();
 });
 
 describe('POST /api/auth/register', () => {
@@ -32,7 +44,7 @@ describe('POST /api/auth/register', () => {
     const userData = {
       username: 'testuser',
       email: 'test@example.com',
-      password: 'password123',
+      password: 'Sturdy-lantern-42',
     };
 
     const res = await request(app)
@@ -42,6 +54,7 @@ describe('POST /api/auth/register', () => {
     expect(res.status).toBe(201);
     expect(res.body).toHaveProperty('user');
     expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
     expect(res.body.user.username).toBe(userData.username);
     expect(res.body.user.email).toBe(userData.email);
     expect(res.body.user).not.toHaveProperty('password');
@@ -59,7 +72,7 @@ describe('POST /api/auth/register', () => {
     const userData = {
       username: 'user2',
       email: 'duplicate@example.com',
-      password: 'password123',
+      password: 'Sturdy-lantern-42',
     };
 
     const res = await request(app)
@@ -84,15 +97,70 @@ describe('POST /api/auth/register', () => {
     expect(res.status).toBe(400);
     expect(res.body).toHaveProperty('error');
   });
+
+  it('should refuse the username and email of the deleted-user placeholder', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: authConfig.deletedUserUsername.toUpperCase(),
+        email: authConfig.deletedUserEmail,
+        password: 'Sturdy-lantern-42',
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.msg))
+      .toEqual(['This username is reserved', 'This email address is reserved']);
+  });
+
+  it('should report every password policy rule that fails', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'policyuser',
+        email: 'policy@example.com',
+        password: 'policyuser',
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.rule).sort())
+      .toEqual(['characterClasses', 'personalInfo']);
+    expect(res.body.details[0].path).toBe('password');
+  });
+
+  it('should reject passwords from the breached password list', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'policyuser',
+        email: 'policy@example.com',
+        password: 'Password123',
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.rule)).toEqual(['breached']);
+  });
+
+  it('should reject passwords longer than bcrypt can hash', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'policyuser',
+        email: 'policy@example.com',
+        password: `Aa1-${'é'.repeat(40)}`,
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.rule)).toEqual(['maxLength']);
+  });
 });
 
 describe('POST /api/auth/login', () => {
   beforeEach(async () => {
-    // Create a test user for login tests
+    // Create a test user for login tests (the model hashes the password)
     await User.create({
       username: 'testuser',
       email: 'test@example.com',
-      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj8lWZQjzQH6', // 'password123' hashed
+      password: 'password123',
     });
   });
 
@@ -153,6 +221,453 @@ describe('POST /api/auth/login', () => {
     expect(res.status).toBe(400);
     expect(res.body).toHaveProperty('error');
   });
+
+  it('should login with a username as identifier', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'testuser', password: 'password123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe('testuser');
+  });
+
+  it('should login with an email as identifier', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'Test@Example.com', password: 'password123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe('test@example.com');
+  });
+
+  it('should give the same response for unknown identifiers and wrong passwords', async () => {
+    const unknown = await request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'nobody', password: 'password123' });
+    const wrongPassword = await request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'testuser', password: 'wrongpassword' });
+
+    expect(unknown.status).toBe(401);
+    expect(wrongPassword.status).toBe(401);
+    expect(unknown.body).toEqual(wrongPassword.body);
+  });
+
+  it('should return 400 for an invalid identifier', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'not a username', password: 'password123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('identifier');
+  });
+});
+
+describe('Login brute-force protection', () => {
+  const attempt = (email, password) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  beforeEach(async () => {
+    await User.create({
+      username: 'lockuser',
+      email: 'lock@example.com',
+      password: 'password123',
+    });
+  });
+
+  it('should lock the account and notify the owner after repeated failures', async () => {
+    for (let i = 0; i < 4; i++) {
+      const res = await attempt('lock@example.com', 'wrongpassword');
+      expect(res.status).toBe(401);
+    }
+
+    const locking = await attempt('lock@example.com', 'wrongpassword');
+    expect(locking.status).toBe(423);
+    expect(Number(locking.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Even the correct password is refused while locked
+    const res = await attempt('lock@example.com', 'password123');
+    expect(res.status).toBe(423);
+
+    const messages = await outbox.read();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].to).toBe('lock@example.com');
+    expect(messages[0].subject).toMatch(/locked/);
+  });
+
+  it('should allow login again once the lockout has expired', async () => {
+    for (let i = 0; i < 5; i++) {
+      await attempt('lock@example.com', 'wrongpassword');
+    }
+
+    await LoginThrottle.updateMany({}, {
+      lockedUntil: new Date(Date.now() - 1000),
+      lastFailureAt: new Date(Date.now() - 60 * 60 * 1000),
+    });
+
+    const res = await attempt('lock@example.com', 'password123');
+    expect(res.status).toBe(200);
+  });
+
+  it('should delay an IP that keeps failing across accounts', async () => {
+    for (let i = 0; i < 5; i++) {
+      await attempt(`unknown${i}@example.com`, 'wrongpassword');
+    }
+
+    const res = await attempt('unknown@example.com', 'wrongpassword');
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('should reset the account counter after a successful login', async () => {
+    await attempt('lock@example.com', 'wrongpassword');
+    await attempt('lock@example.com', 'password123');
+
+    const record = await LoginThrottle.findOne({ key: /^account:/ });
+    expect(record).toBeNull();
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  let refreshToken;
+
+  beforeEach(async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'refreshuser',
+        email: 'refresh@example.com',
+        password: 'Sturdy-lantern-42',
+      });
+    refreshToken = res.body.refreshToken;
+  });
+
+  it('should rotate the refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+
+    const stored = await RefreshToken.find({});
+    expect(stored).toHaveLength(2);
+  });
+
+  it('should revoke the whole family when a rotated token is reused', async () => {
+    const first = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    const reuse = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    expect(reuse.status).toBe(401);
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: first.body.refreshToken });
+
+    expect(res.status).toBe(401);
+    const active = await RefreshToken.find({ revokedAt: null });
+    expect(active).toHaveLength(0);
+
+    // The session ends with its tokens and the incident is audited
+    expect(await Session.countDocuments({ revokedAt: null })).toBe(0);
+    const events = await AuditEvent.find({ action: 'token.reuse' });
+    expect(events).toHaveLength(1);
+    expect(events[0].outcome).toBe('failure');
+    expect(events[0].targetType).toBe('session');
+  });
+
+  it('should return 401 for an unknown refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'not-a-real-token' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 400 when the refresh token is missing', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Email verification', () => {
+  const verificationTokenFromOutbox = async () => {
+    const messages = await outbox.read();
+    const match = messages[messages.length - 1].text.match(/token=([\w-]+)/);
+    return match[1];
+  };
+
+  let session;
+
+  beforeEach(async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'verifyuser',
+        email: 'verify@example.com',
+        password: 'Sturdy-lantern-42',
+      });
+    session = res.body;
+  });
+
+  it('should register users as unverified and email a verification link', async () => {
+    expect(session.user.emailVerified).toBe(false);
+
+    const messages = await outbox.read();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].to).toBe('verify@example.com');
+  });
+
+  it('should verify the email with the token', async () => {
+    const token = await verificationTokenFromOutbox();
+
+    const res = await request(app)
+      .get(`/api/auth/verify-email/${token}`);
+
+    expect(res.status).toBe(200);
+
+    const user = await User.findOne({ email: 'verify@example.com' });
+    expect(user.emailVerified).toBe(true);
+
+    const reuse = await request(app)
+      .get(`/api/auth/verify-email/${token}`);
+    expect(reuse.status).toBe(400);
+  });
+
+  it('should reject unknown verification tokens', async () => {
+    const res = await request(app)
+      .get('/api/auth/verify-email/not-a-real-token');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should throttle resending the verification email', async () => {
+    const res = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${session.token}`);
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+
+    await User.updateOne(
+      { email: 'verify@example.com' },
+      { emailVerificationSentAt: new Date(Date.now() - 5 * 60 * 1000) }
+    );
+
+    const retry = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${session.token}`);
+
+    expect(retry.status).toBe(200);
+    expect(await outbox.read()).toHaveLength(2);
+  });
+});
+
+describe('Password reset', () => {
+  const resetTokenFromOutbox = async () => {
+    const messages = await outbox.read();
+    const match = messages[messages.length - 1].text.match(/token=([\w-]+)/);
+    return match[1];
+  };
+
+  let session;
+
+  beforeEach(async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'resetuser',
+        email: 'reset@example.com',
+        password: 'Sturdy-lantern-42',
+      });
+    session = res.body;
+  });
+
+  it('should email a reset link and store only the token hash', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'reset@example.com' });
+
+    expect(res.status).toBe(200);
+
+    const messages = await outbox.read();
+    expect(messages).toHaveLength(2);
+    expect(messages[1].to).toBe('reset@example.com');
+    expect(messages[1].subject).toBe('Reset your password');
+
+    const token = await resetTokenFromOutbox();
+    const user = await User.findOne({ email: 'reset@example.com' }).select('+passwordResetToken');
+    expect(user.passwordResetToken).toBeDefined();
+    expect(user.passwordResetToken).not.toBe(token);
+  });
+
+  it('should respond identically for unknown emails without sending mail', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    // Only the verification email from registration
+    expect(await outbox.read()).toHaveLength(1);
+  });
+
+  it('should not send another reset email during the cooldown', async () => {
+    const forgot = () => request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'reset@example.com' });
+
+    await forgot();
+    const token = await resetTokenFromOutbox();
+    const throttled = await forgot();
+
+    expect(throttled.status).toBe(200);
+    expect(throttled.body.message).toBe('If an account exists for that email, a reset link has been sent');
+    expect(await outbox.read()).toHaveLength(2);
+
+    // The first link is still the valid one
+    const user = await User.findByPasswordResetToken(token);
+    expect(user).not.toBeNull();
+
+    await User.updateOne(
+      { email: 'reset@example.com' },
+      { passwordResetSentAt: new Date(Date.now() - authConfig.passwordResetCooldownSeconds * 1000) }
+    );
+    await forgot();
+    expect(await outbox.read()).toHaveLength(3);
+  });
+
+  it('should reset the password once and invalidate existing sessions', async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'reset@example.com' });
+    const token = await resetTokenFromOutbox();
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'newpassword456' });
+
+    expect(res.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'reset@example.com', password: 'newpassword456' });
+    expect(login.status).toBe(200);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${session.token}`);
+    expect(me.status).toBe(401);
+
+    const reuse = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'anotherpassword789' });
+    expect(reuse.status).toBe(400);
+  });
+
+  it('should reject expired reset tokens', async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'reset@example.com' });
+    const token = await resetTokenFromOutbox();
+
+    await User.updateOne(
+      { email: 'reset@example.com' },
+      { passwordResetExpires: new Date(Date.now() - 1000) }
+    );
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'newpassword456' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  let session;
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'logout@example.com', password: 'Sturdy-lantern-42' });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'logoutuser',
+        email: 'logout@example.com',
+        password: 'Sturdy-lantern-42',
+      });
+    session = (await login()).body;
+  });
+
+  it('should revoke the current access and refresh tokens', async () => {
+    const other = (await login()).body;
+
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${session.token}`);
+
+    expect(res.status).toBe(200);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${session.token}`);
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+    expect(refresh.status).toBe(401);
+
+    // Other devices stay signed in
+    const otherMe = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${other.token}`);
+    expect(otherMe.status).toBe(200);
+  });
+
+  it('should revoke every session with logout-all', async () => {
+    const other = (await login()).body;
+
+    const res = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${session.token}`);
+
+    expect(res.status).toBe(200);
+
+    const otherMe = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${other.token}`);
+    expect(otherMe.status).toBe(401);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: other.refreshToken });
+    expect(refresh.status).toBe(401);
+
+    const revoked = await RevokedToken.find({});
+    expect(revoked.length).toBeGreaterThanOrEqual(2);
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout');
+
+    expect(res.status).toBe(401);
+  });
 });
 
 describe('GET /api/auth/me', () => {
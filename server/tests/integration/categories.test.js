@@ -0,0 +1,196 @@
+// categories.test.js - Integration tests for category endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const [admin, user] = await User.create([
+    { username: 'categoryadmin', email: 'categoryadmin@example.com', password: 'password123', role: 'admin' },
+    { username: 'categoryuser', email: 'categoryuser@example.com', password: 'password123' },
+  ]);
+  author = user;
+  adminToken = generateToken(admin);
+  userToken = generateToken(user);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+const createCategory = (fields) => request(app)
+  .post('/api/categories')
+  .set('Authorization', `Bearer ${adminToken}`)
+  .send(fields);
+
+describe('POST /api/categories', () => {
+  it('should create a category with a slug', async () => {
+    const res = await createCategory({ name: 'Web Development', description: 'All things web' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category).toMatchObject({
+      name: 'Web Development',
+      slug: 'web-development',
+      description: 'All things web',
+      parent: null,
+      ancestors: [],
+    });
+  });
+
+  it('should nest a category below its parent', async () => {
+    const tech = await createCategory({ name: 'Technology' });
+    const web = await createCategory({ name: 'Web', parent: tech.body.category._id });
+    const res = await createCategory({ name: 'Frontend', parent: web.body.category._id });
+
+    expect(res.body.category.parent).toBe(web.body.category._id);
+    expect(res.body.category.ancestors).toEqual([tech.body.category._id, web.body.category._id]);
+  });
+
+  it('should reject a missing parent and duplicate names', async () => {
+    await createCategory({ name: 'News' });
+
+    const missingParent = await createCategory({ name: 'Local', parent: new mongoose.Types.ObjectId().toString() });
+    const duplicate = await createCategory({ name: 'news' });
+
+    expect(missingParent.status).toBe(400);
+    expect(duplicate.status).toBe(409);
+  });
+
+  it('should be forbidden for regular users', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Technology' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/categories', () => {
+  it('should list categories with direct and nested post counts', async () => {
+    const tech = await Category.create({ name: 'Technology' });
+    const web = await Category.create({ name: 'Web', parent: tech._id, ancestors: [tech._id] });
+    await Post.create([
+      { title: 'Tech 1', content: 'Content', author: author._id, category: tech._id },
+      { title: 'Web 1', content: 'Content', author: author._id, category: web._id },
+      { title: 'Web 2', content: 'Content', author: author._id, category: web._id },
+      { title: 'Web draft', content: 'Content', author: author._id, category: web._id, status: 'draft' },
+    ]);
+
+    const res = await request(app).get('/api/categories');
+
+    expect(res.status).toBe(200);
+    const bySlug = Object.fromEntries(res.body.categories.map(category => [category.slug, category]));
+    expect(bySlug.technology).toMatchObject({ postCount: 1, totalPostCount: 3 });
+    expect(bySlug.web).toMatchObject({ postCount: 2, totalPostCount: 2 });
+  });
+
+  it('should get a single category with its children', async () => {
+    const tech = await Category.create({ name: 'Technology' });
+    await Category.create({ name: 'Web', parent: tech._id, ancestors: [tech._id] });
+
+    const res = await request(app).get('/api/categories/technology');
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.children.map(child => child.slug)).toEqual(['web']);
+  });
+
+  it('should return 404 for an unknown slug', async () => {
+    const res = await request(app).get('/api/categories/unknown');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PATCH /api/categories/:id', () => {
+  it('should move a category with its subtree', async () => {
+    const tech = await Category.create({ name: 'Technology' });
+    const news = await Category.create({ name: 'News' });
+    const web = await Category.create({ name: 'Web', parent: tech._id, ancestors: [tech._id] });
+    const frontend = await Category.create({ name: 'Frontend', parent: web._id, ancestors: [tech._id, web._id] });
+
+    const res = await request(app)
+      .patch(`/api/categories/${web._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ parent: news._id.toString() });
+
+    expect(res.status).toBe(200);
+    const moved = await Category.findById(frontend._id);
+    expect(moved.ancestors.map(String)).toEqual([String(news._id), String(web._id)]);
+  });
+
+  it('should refuse to move a category below itself', async () => {
+    const tech = await Category.create({ name: 'Technology' });
+    const web = await Category.create({ name: 'Web', parent: tech._id, ancestors: [tech._id] });
+
+    const res = await request(app)
+      .patch(`/api/categories/${tech._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ parent: web._id.toString() });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should rename a category and its slug', async () => {
+    const tech = await Category.create({ name: 'Technology' });
+
+    const res = await request(app)
+      .patch(`/api/categories/${tech._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Tech News' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.slug).toBe('tech-news');
+  });
+});
+
+describe('DELETE /api/categories/:id', () => {
+  it('should delete a category and uncategorise its posts', async () => {
+    const news = await Category.create({ name: 'News' });
+    const post = await Post.create({ title: 'Headline', content: 'Content', author: author._id, category: news._id });
+
+    const res = await request(app)
+      .delete(`/api/categories/${news._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Category.exists({ _id: news._id })).toBeNull();
+    expect((await Post.findById(post._id)).category).toBeNull();
+  });
+
+  it('should refuse to delete a category with subcategories', async () => {
+    const tech = await Category.create({ name: 'Technology' });
+    await Category.create({ name: 'Web', parent: tech._id, ancestors: [tech._id] });
+
+    const res = await request(app)
+      .delete(`/api/categories/${tech._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,270 @@
+// comments.test.js - Integration tests for post comment endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const commentConfig = require('../../src/config/comments');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let post;
+let authorToken;
+let readerToken;
+let otherToken;
+let adminToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const [author, reader, other, admin] = await User.create([
+    { username: 'postauthor', email: 'postauthor@example.com', password: 'password123', emailVerified: true },
+    { username: 'reader', email: 'reader@example.com', password: 'password123', emailVerified: true },
+    { username: 'otherreader', email: 'otherreader@example.com', password: 'password123', emailVerified: true },
+    { username: 'commentadmin', email: 'commentadmin@example.com', password: 'password123', role: 'admin', emailVerified: true },
+  ]);
+  authorToken = generateToken(author);
+  readerToken = generateToken(reader);
+  otherToken = generateToken(other);
+  adminToken = generateToken(admin);
+
+  post = await Post.create({ title: 'Commented post', content: 'Content', author: author._id });
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+const commentsUrl = (suffix = '') => `/api/posts/${post._id}/comments${suffix}`;
+
+const addComment = (token, fields) => request(app)
+  .post(commentsUrl())
+  .set('Authorization', `Bearer ${token}`)
+  .send(fields);
+
+const getCommentCount = async () => (await Post.findById(post._id)).commentCount;
+
+describe('POST /api/posts/:id/comments', () => {
+  it('should add a comment and count it', async () => {
+    const res = await addComment(readerToken, { content: 'Nice post' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment).toMatchObject({
+      content: 'Nice post',
+      depth: 0,
+      parent: null,
+      deleted: false,
+      hidden: false,
+    });
+    expect(res.body.comment.author.username).toBe('reader');
+    expect(await getCommentCount()).toBe(1);
+  });
+
+  it('should require authentication and content', async () => {
+    const anonymous = await request(app).post(commentsUrl()).send({ content: 'Hi' });
+    const empty = await addComment(readerToken, { content: '   ' });
+    const tooLong = await addComment(readerToken, { content: 'a'.repeat(commentConfig.maxLength + 1) });
+
+    expect(anonymous.status).toBe(401);
+    expect(empty.status).toBe(400);
+    expect(tooLong.status).toBe(400);
+  });
+
+  it('should return 404 for an unknown post', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${new mongoose.Types.ObjectId()}/comments`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Hello' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should nest replies up to the configured depth', async () => {
+    let parent = null;
+    for (let depth = 0; depth <= commentConfig.maxDepth; depth++) {
+      const res = await addComment(readerToken, { content: `Depth ${depth}`, parent });
+      expect(res.status).toBe(201);
+      expect(res.body.comment.depth).toBe(depth);
+      parent = res.body.comment._id;
+    }
+
+    const tooDeep = await addComment(readerToken, { content: 'Too deep', parent });
+
+    expect(tooDeep.status).toBe(400);
+    expect(await getCommentCount()).toBe(commentConfig.maxDepth + 1);
+  });
+
+  it('should reject a parent from another post', async () => {
+    const otherPost = await Post.create({ title: 'Other', content: 'Content', author: post.author });
+    const foreign = await Comment.add({ post: otherPost._id, author: post.author, content: 'Elsewhere' });
+
+    const res = await addComment(readerToken, { content: 'Reply', parent: foreign._id.toString() });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should keep the count consistent under concurrent comments', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, i) => addComment(readerToken, { content: `Comment ${i}` })));
+
+    expect(await getCommentCount()).toBe(10);
+  });
+});
+
+describe('GET /api/posts/:id/comments', () => {
+  it('should return nested threads with placeholders for removed comments', async () => {
+    const root = await addComment(readerToken, { content: 'Root' });
+    const reply = await addComment(otherToken, { content: 'Reply', parent: root.body.comment._id });
+    await addComment(readerToken, { content: 'Nested', parent: reply.body.comment._id });
+    await addComment(otherToken, { content: 'Second root' });
+
+    await request(app)
+      .delete(commentsUrl(`/${reply.body.comment._id}`))
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    const res = await request(app).get(commentsUrl());
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination.total).toBe(2);
+    expect(res.body.comments.map(c => c.content)).toEqual(['Root', 'Second root']);
+
+    const [thread] = res.body.comments;
+    expect(thread.replies).toHaveLength(1);
+    expect(thread.replies[0]).toMatchObject({ deleted: true, content: null, author: null });
+    expect(thread.replies[0].replies[0].content).toBe('Nested');
+  });
+
+  it('should paginate top-level comments', async () => {
+    for (let i = 0; i < 3; i++) {
+      await addComment(readerToken, { content: `Comment ${i}` });
+    }
+
+    const res = await request(app).get(commentsUrl('?page=2&limit=2'));
+
+    expect(res.body.comments.map(c => c.content)).toEqual(['Comment 2']);
+    expect(res.body.pagination).toMatchObject({ page: 2, limit: 2, total: 3, pages: 2 });
+  });
+});
+
+describe('PATCH and DELETE /api/posts/:id/comments/:commentId', () => {
+  it('should let the author edit a comment', async () => {
+    const created = await addComment(readerToken, { content: 'Typo' });
+
+    const res = await request(app)
+      .patch(commentsUrl(`/${created.body.comment._id}`))
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Fixed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.content).toBe('Fixed');
+    expect(res.body.comment.editedAt).toBeTruthy();
+  });
+
+  it('should not let others edit or delete a comment', async () => {
+    const created = await addComment(readerToken, { content: 'Mine' });
+    const url = commentsUrl(`/${created.body.comment._id}`);
+
+    const edit = await request(app).patch(url).set('Authorization', `Bearer ${otherToken}`).send({ content: 'Yours' });
+    const remove = await request(app).delete(url).set('Authorization', `Bearer ${authorToken}`);
+
+    expect(edit.status).toBe(403);
+    expect(remove.status).toBe(403);
+  });
+
+  it('should count a deleted comment once', async () => {
+    const created = await addComment(readerToken, { content: 'Bye' });
+    const url = commentsUrl(`/${created.body.comment._id}`);
+
+    const results = await Promise.all([
+      request(app).delete(url).set('Authorization', `Bearer ${readerToken}`),
+      request(app).delete(url).set('Authorization', `Bearer ${adminToken}`),
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual([200, 404]);
+    expect(await getCommentCount()).toBe(0);
+
+    const stored = await Comment.findById(created.body.comment._id);
+    expect(stored.deletedAt).toBeTruthy();
+    expect(stored.content).toBeUndefined();
+  });
+});
+
+describe('Comment moderation', () => {
+  it('should let the post author hide and unhide a comment', async () => {
+    const created = await addComment(readerToken, { content: 'Spam' });
+    const url = commentsUrl(`/${created.body.comment._id}`);
+
+    const hide = await request(app).post(`${url}/hide`).set('Authorization', `Bearer ${authorToken}`);
+    expect(hide.status).toBe(200);
+    expect(await getCommentCount()).toBe(0);
+
+    const list = await request(app).get(commentsUrl());
+    expect(list.body.comments[0]).toMatchObject({ hidden: true, content: null });
+
+    const reply = await addComment(otherToken, { content: 'Reply', parent: created.body.comment._id });
+    expect(reply.status).toBe(400);
+
+    await request(app).post(`${url}/unhide`).set('Authorization', `Bearer ${adminToken}`);
+    expect(await getCommentCount()).toBe(1);
+  });
+
+  it('should not let other users moderate', async () => {
+    const created = await addComment(readerToken, { content: 'Fine' });
+
+    const hide = await request(app)
+      .post(commentsUrl(`/${created.body.comment._id}/hide`))
+      .set('Authorization', `Bearer ${otherToken}`);
+    const lock = await request(app)
+      .post(commentsUrl('/lock'))
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(hide.status).toBe(403);
+    expect(lock.status).toBe(403);
+  });
+
+  it('should block new comments and edits on a locked post', async () => {
+    const created = await addComment(readerToken, { content: 'Before lock' });
+
+    const lock = await request(app).post(commentsUrl('/lock')).set('Authorization', `Bearer ${authorToken}`);
+    expect(lock.body.locked).toBe(true);
+
+    const comment = await addComment(otherToken, { content: 'After lock' });
+    const edit = await request(app)
+      .patch(commentsUrl(`/${created.body.comment._id}`))
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Edited' });
+
+    expect(comment.status).toBe(403);
+    expect(edit.status).toBe(403);
+
+    await request(app).post(commentsUrl('/unlock')).set('Authorization', `Bearer ${adminToken}`);
+    expect((await addComment(otherToken, { content: 'After unlock' })).status).toBe(201);
+  });
+});
+
+describe('DELETE /api/posts/:id', () => {
+  it('should delete the comments of the post', async () => {
+    await addComment(readerToken, { content: 'Gone soon' });
+
+    await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(await Comment.countDocuments({})).toBe(0);
+  });
+});
@@ -0,0 +1,224 @@
+// feed.test.js - Integration tests for follows and the personalised feed
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Follow = require('../../src/models/Follow');
+const { generateToken } = require('../../src/utils/auth');
+const { afterCursor } = require('../../src/utils/cursor');
+
+let mongoServer;
+let reader;
+let author;
+let otherAuthor;
+let token;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  [reader, author, otherAuthor] = await User.create([
+    { username: 'reader', email: 'reader@example.com', password: 'password123' },
+    { username: 'author', email: 'author@example.com', password: 'password123' },
+    { username: 'other', email: 'other@example.com', password: 'password123' },
+  ]);
+  token = generateToken(reader);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+describe('PUT /api/users/:username/follow', () => {
+  it('should follow an author once', async () => {
+    const first = await request(app)
+      .put('/api/users/author/follow')
+      .set('Authorization', `Bearer ${token}`);
+    const second = await request(app)
+      .put('/api/users/author/follow')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(200);
+    expect(await Follow.countDocuments({ follower: reader._id, following: author._id })).toBe(1);
+  });
+
+  it('should treat concurrent follows as one', async () => {
+    await Follow.init();
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => request(app)
+      .put('/api/users/author/follow')
+      .set('Authorization', `Bearer ${token}`)));
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 200, 200, 200, 201]);
+    expect(await Follow.countDocuments({ follower: reader._id, following: author._id })).toBe(1);
+  });
+
+  it('should show follower and following counts on profiles', async () => {
+    await request(app)
+      .put('/api/users/author/follow')
+      .set('Authorization', `Bearer ${token}`);
+
+    const authorProfile = await request(app).get('/api/users/author');
+    const readerProfile = await request(app).get('/api/users/reader');
+
+    expect(authorProfile.body.user.followerCount).toBe(1);
+    expect(authorProfile.body.user.followingCount).toBe(0);
+    expect(readerProfile.body.user.followingCount).toBe(1);
+  });
+
+  it('should not allow following yourself', async () => {
+    const res = await request(app)
+      .put('/api/users/reader/follow')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 404 for unknown users', async () => {
+    const res = await request(app)
+      .put('/api/users/nobody/follow')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).put('/api/users/author/follow');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('DELETE /api/users/:username/follow', () => {
+  it('should unfollow an author', async () => {
+    await Follow.create({ follower: reader._id, following: author._id });
+
+    const res = await request(app)
+      .delete('/api/users/author/follow')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.following).toBe(false);
+    expect(await Follow.countDocuments({})).toBe(0);
+  });
+});
+
+describe('GET /api/feed', () => {
+  const createPosts = (user, count, overrides = {}) => {
+    const now = Date.now();
+    return Post.create(Array.from({ length: count }, (_, i) => ({
+      title: `${user.username} post ${i}`,
+      content: 'Content',
+      author: user._id,
+      createdAt: new Date(now - i * 60000),
+      publishedAt: new Date(now - i * 60000),
+      ...overrides,
+    })));
+  };
+
+  it('should be empty when following nobody', async () => {
+    await createPosts(author, 2);
+
+    const res = await request(app)
+      .get('/api/feed')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ posts: [], nextCursor: null });
+  });
+
+  it('should only contain published posts of followed authors', async () => {
+    await Follow.create({ follower: reader._id, following: author._id });
+    await createPosts(author, 2);
+    await createPosts(otherAuthor, 2);
+    await Post.create({ title: 'Draft', content: 'Hidden', author: author._id, status: 'draft' });
+
+    const res = await request(app)
+      .get('/api/feed')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.posts.map(post => post.title)).toEqual(['author post 0', 'author post 1']);
+    expect(res.body.posts[0].author.username).toBe('author');
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  it('should page through the feed with a cursor', async () => {
+    await Follow.create([
+      { follower: reader._id, following: author._id },
+      { follower: reader._id, following: otherAuthor._id },
+    ]);
+    await createPosts(author, 3);
+    await createPosts(otherAuthor, 2);
+
+    const titles = [];
+    let cursor;
+    do {
+      const res = await request(app)
+        .get('/api/feed')
+        .query({ limit: 2, ...(cursor && { cursor }) })
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(200);
+      titles.push(...res.body.posts.map(post => post.title));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(titles).toHaveLength(5);
+    expect(new Set(titles).size).toBe(5);
+  });
+
+  it('should read the feed from the index without sorting in memory', async () => {
+    await Post.init();
+    await createPosts(author, 3);
+    await createPosts(otherAuthor, 3);
+
+    // Collects every stage name of a query plan
+    const stagesOf = (plan) => (plan && typeof plan === 'object'
+      ? [plan.stage, ...Object.values(plan).flatMap(stagesOf)].filter(Boolean)
+      : []);
+    const explainFeed = (extra = {}) => Post.find({
+      author: { $in: [author._id, otherAuthor._id] },
+      status: 'published',
+      isPublished: true,
+      ...extra,
+    })
+      .sort({ publishedAt: -1, _id: -1 })
+      .limit(3)
+      .explain('queryPlanner');
+
+    const [latest] = await Post.find({ author: author._id }).sort({ publishedAt: -1, _id: -1 }).limit(1);
+    const plans = [
+      await explainFeed(),
+      await explainFeed(afterCursor({ publishedAt: latest.publishedAt, id: latest._id })),
+    ];
+
+    for (const explanation of plans) {
+      const stages = stagesOf(explanation.queryPlanner.winningPlan);
+      expect(stages).toContain('IXSCAN');
+      expect(stages).not.toContain('SORT');
+    }
+  });
+
+  it('should reject a malformed cursor', async () => {
+    const res = await request(app)
+      .get('/api/feed?cursor=garbage')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,162 @@
+// personalAccessTokens.test.js - Integration tests for personal access tokens
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const PersonalAccessToken = require('../../src/models/PersonalAccessToken');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let user;
+let token;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  user = await User.create({
+    username: 'scriptowner',
+    email: 'scripts@example.com',
+    password: 'password123',
+  });
+  token = generateToken(user);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+const createToken = (body) => request(app)
+  .post('/api/users/me/tokens')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+const newPost = () => ({
+  title: 'Posted by a script',
+  content: 'Automated content',
+  category: new mongoose.Types.ObjectId().toString(),
+});
+
+describe('POST /api/users/me/tokens', () => {
+  it('should return the token once and store only its hash', async () => {
+    const res = await createToken({ name: 'CI', scopes: ['posts:write'], expiresInDays: 7 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.token.token).toMatch(/^pat_/);
+    expect(res.body.token.name).toBe('CI');
+    expect(res.body.token.scopes).toEqual(['posts:write']);
+    expect(res.body.token).not.toHaveProperty('tokenHash');
+
+    const stored = await PersonalAccessToken.findById(res.body.token._id).select('+tokenHash');
+    expect(stored.tokenHash).not.toBe(res.body.token.token);
+
+    const list = await request(app)
+      .get('/api/users/me/tokens')
+      .set('Authorization', `Bearer ${token}`);
+    expect(list.body.tokens).toHaveLength(1);
+    expect(list.body.tokens[0]).not.toHaveProperty('token');
+  });
+
+  it('should reject unknown scopes and excessive lifetimes', async () => {
+    const res = await createToken({ name: 'CI', scopes: ['admin'], expiresInDays: 10000 });
+
+    expect(res.status).toBe(400);
+    const fields = res.body.details.map(detail => detail.path);
+    expect(fields).toEqual(expect.arrayContaining(['scopes[0]', 'expiresInDays']));
+  });
+});
+
+describe('Authenticating with a personal access token', () => {
+  it('should allow actions granted by its scopes', async () => {
+    const created = await createToken({ name: 'CI', scopes: ['posts:write'] });
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${created.body.token.token}`)
+      .send(newPost());
+
+    expect(res.status).toBe(201);
+    expect(res.body.author).toBe(user._id.toString());
+
+    const stored = await PersonalAccessToken.findById(created.body.token._id);
+    expect(stored.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('should deny actions outside its scopes', async () => {
+    const created = await createToken({ name: 'Reader', scopes: ['posts:read'] });
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${created.body.token.token}`)
+      .send(newPost());
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should not give access to account management', async () => {
+    const created = await createToken({ name: 'CI', scopes: ['posts:write'] });
+    const pat = created.body.token.token;
+
+    const profile = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${pat}`)
+      .send({ username: 'hijacked' });
+    expect(profile.status).toBe(403);
+
+    const tokens = await request(app)
+      .post('/api/users/me/tokens')
+      .set('Authorization', `Bearer ${pat}`)
+      .send({ name: 'Another', scopes: ['posts:write'] });
+    expect(tokens.status).toBe(403);
+
+    const logoutAll = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${pat}`);
+    expect(logoutAll.status).toBe(403);
+  });
+
+  it('should reject revoked tokens', async () => {
+    const created = await createToken({ name: 'CI', scopes: ['posts:write'] });
+
+    const revoke = await request(app)
+      .delete(`/api/users/me/tokens/${created.body.token._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(revoke.status).toBe(200);
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${created.body.token.token}`)
+      .send(newPost());
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject expired tokens', async () => {
+    const created = await createToken({ name: 'CI', scopes: ['posts:write'] });
+    await PersonalAccessToken.updateOne(
+      { _id: created.body.token._id },
+      { expiresAt: new Date(Date.now() - 1000) }
+    );
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${created.body.token.token}`)
+      .send(newPost());
+
+    expect(res.status).toBe(401);
+  });
+});
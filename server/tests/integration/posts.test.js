@@ -6,12 +6,14 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const Post = require('../../src/models/Post');
 const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
 const { generateToken } = require('../../src/utils/auth');
 
 let mongoServer;
 let token;
 let userId;
 let postId;
+let categoryId;
 
 // Setup in-memory MongoDB server before all tests
 beforeAll(async () => {
@@ -31,12 +33,16 @@ beforeEach(async () => {
   userId = user._id;
   token = generateToken(user);
 
+  // Create a test category
+  const category = await Category.create({ name: 'Technology' });
+  categoryId = category._id;
+
   // Create a test post
   const post = await Post.create({
     title: 'Test Post',
     content: 'This is a test post content',
     author: userId,
-    category: mongoose.Types.ObjectId(),
+    category: categoryId,
     slug: 'test-post',
   });
   postId = post._id;
@@ -65,7 +71,7 @@ describe('POST /api/posts', () => {
     const newPost = {
       title: 'New Test Post',
       content: 'This is a new test post content',
-      category: mongoose.Types.ObjectId().toString(),
+      category: categoryId.toString(),
     };
 
     const res = await request(app)
@@ -84,7 +90,7 @@ describe('POST /api/posts', () => {
     const newPost = {
       title: 'Unauthorized Post',
       content: 'This should not be created',
-      category: mongoose.Types.ObjectId().toString(),
+      category: categoryId.toString(),
     };
 
     const res = await request(app)
@@ -94,11 +100,25 @@ describe('POST /api/posts', () => {
     expect(res.status).toBe(401);
   });
 
+  it('should return 400 if the category does not exist', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Lost Post',
+        content: 'This post points at a missing category',
+        category: new mongoose.Types.ObjectId().toString(),
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('Category not found');
+  });
+
   it('should return 400 if validation fails', async () => {
     const invalidPost = {
       // Missing title
       content: 'This post is missing a title',
-      category: mongoose.Types.ObjectId().toString(),
+      category: categoryId.toString(),
     };
 
     const res = await request(app)
@@ -120,25 +140,46 @@ describe('GET /api/posts', () => {
     expect(res.body.length).toBeGreaterThan(0);
   });
 
-  it('should filter posts by category', async () => {
-    const categoryId = mongoose.Types.ObjectId().toString();
-    
-    // Create a post with specific category
-    await Post.create({
-      title: 'Filtered Post',
-      content: 'This post should be filtered by category',
-      author: userId,
-      category: categoryId,
-      slug: 'filtered-post',
+  it('should filter posts by category slug including subcategories', async () => {
+    const news = await Category.create({ name: 'News' });
+    const frontend = await Category.create({
+      name: 'Frontend',
+      parent: categoryId,
+      ancestors: [categoryId],
     });
 
+    // Create posts in a subcategory and in an unrelated category
+    await Post.create([
+      {
+        title: 'Filtered Post',
+        content: 'This post should be filtered by category',
+        author: userId,
+        category: frontend._id,
+        slug: 'filtered-post',
+      },
+      {
+        title: 'Other Post',
+        content: 'This post is in another category',
+        author: userId,
+        category: news._id,
+        slug: 'other-post',
+      },
+    ]);
+
     const res = await request(app)
-      .get(`/api/posts?category=${categoryId}`);
+      .get('/api/posts?category=technology');
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBeTruthy();
-    expect(res.body.length).toBeGreaterThan(0);
-    expect(res.body[0].category).toBe(categoryId);
+    expect(res.body.posts.map(post => post.title).sort()).toEqual(['Filtered Post', 'Test Post']);
+    expect(res.body.posts.find(post => post.title === 'Filtered Post').category.slug).toBe('frontend');
+  });
+
+  it('should return no posts for an unknown category', async () => {
+    const res = await request(app)
+      .get('/api/posts?category=unknown');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toEqual([]);
   });
 
   it('should paginate results', async () => {
@@ -149,7 +190,7 @@ describe('GET /api/posts', () => {
         title: `Pagination Post ${i}`,
         content: `Content for pagination test ${i}`,
         author: userId,
-        category: mongoose.Types.ObjectId(),
+        category: categoryId,
         slug: `pagination-post-${i}`,
       });
     }
@@ -237,9 +278,49 @@ describe('PUT /api/posts/:id', () => {
 
     expect(res.status).toBe(403);
   });
+
+  it('should allow an admin to update any post', async () => {
+    const admin = await User.create({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+    });
+    const adminToken = generateToken(admin);
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'Moderated Title' });
+
+    expect(res.status).toBe(200);
+  });
 });
 
 describe('DELETE /api/posts/:id', () => {
+  it('should return 403 if not the author', async () => {
+    const anotherUser = await User.create({
+      username: 'anotheruser',
+      email: 'another@example.com',
+      password: 'password123',
+    });
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${generateToken(anotherUser)}`);
+
+    expect(res.status).toBe(403);
+    expect(await Post.findById(postId)).not.toBeNull();
+  });
+
+  it('should return 404 for a non-existent post', async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+
   it('should delete a post when authenticated as author', async () => {
     const res = await request(app)
       .delete(`/api/posts/${postId}`)
@@ -0,0 +1,192 @@
+// publishing.test.js - Integration tests for the post status workflow
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let authorToken;
+let otherToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const [writer, other] = await User.create([
+    { username: 'writer', email: 'writer@example.com', password: 'password123' },
+    { username: 'otherwriter', email: 'otherwriter@example.com', password: 'password123' },
+  ]);
+  authorToken = generateToken(writer);
+  otherToken = generateToken(other);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+const createPost = (fields) => request(app)
+  .post('/api/posts')
+  .set('Authorization', `Bearer ${authorToken}`)
+  .send({ title: 'Workflow post', content: 'Content', ...fields });
+
+const transition = (postId, action, token = authorToken, body = {}) => request(app)
+  .post(`/api/posts/${postId}/${action}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('POST /api/posts', () => {
+  it('should publish by default', async () => {
+    const res = await createPost();
+
+    expect(res.status).toBe(201);
+    expect(res.body.post).toMatchObject({ status: 'published', isPublished: true });
+    expect(res.body.post.publishedAt).toBeTruthy();
+  });
+
+  it('should save a draft without a publication date', async () => {
+    const res = await createPost({ status: 'draft', publishedAt: new Date().toISOString() });
+
+    expect(res.body.post).toMatchObject({ status: 'draft', isPublished: false, publishedAt: null });
+  });
+
+  it('should schedule a post dated in the future', async () => {
+    const publishedAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const res = await createPost({ publishedAt });
+
+    expect(res.body.post).toMatchObject({ status: 'scheduled', isPublished: false, publishedAt });
+  });
+});
+
+describe('Post visibility', () => {
+  it('should hide drafts from other users and anonymous readers', async () => {
+    const draft = await createPost({ title: 'Secret draft', status: 'draft' });
+    await createPost({ title: 'Public post' });
+    const url = `/api/posts/${draft.body.post._id}`;
+
+    const list = await request(app).get('/api/posts');
+    const anonymous = await request(app).get(url);
+    const other = await request(app).get(url).set('Authorization', `Bearer ${otherToken}`);
+    const own = await request(app).get(url).set('Authorization', `Bearer ${authorToken}`);
+
+    expect(list.body.posts.map(post => post.title)).toEqual(['Public post']);
+    expect(anonymous.status).toBe(404);
+    expect(other.status).toBe(404);
+    expect(own.status).toBe(200);
+  });
+
+  it('should show drafts to their author through a read-only access token', async () => {
+    const draft = await createPost({ status: 'draft' });
+    const created = await request(app)
+      .post('/api/users/me/tokens')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ name: 'reader', scopes: ['posts:read'] });
+    const pat = created.body.token.token;
+
+    const list = await request(app).get('/api/posts?status=draft').set('Authorization', `Bearer ${pat}`);
+    const single = await request(app).get(`/api/posts/${draft.body.post._id}`).set('Authorization', `Bearer ${pat}`);
+
+    expect(list.body.posts).toHaveLength(1);
+    expect(single.status).toBe(200);
+  });
+
+  it('should list unpublished posts of the signed-in author only', async () => {
+    await createPost({ title: 'My draft', status: 'draft' });
+    await Post.create({ title: 'Their draft', content: 'Content', author: new mongoose.Types.ObjectId(), status: 'draft' });
+
+    const own = await request(app).get('/api/posts?status=draft').set('Authorization', `Bearer ${authorToken}`);
+    const anonymous = await request(app).get('/api/posts?status=draft');
+
+    expect(own.body.posts.map(post => post.title)).toEqual(['My draft']);
+    expect(anonymous.status).toBe(401);
+  });
+
+  it('should list published posts by publication date', async () => {
+    const draft = await createPost({ title: 'Older draft', status: 'draft' });
+    await createPost({ title: 'Published first' });
+    await transition(draft.body.post._id, 'publish');
+
+    const posts = await request(app).get('/api/posts');
+    const authorPosts = await request(app).get('/api/users/writer/posts');
+
+    expect(posts.body.posts.map(post => post.title)).toEqual(['Older draft', 'Published first']);
+    expect(authorPosts.body.posts.map(post => post.title)).toEqual(['Older draft', 'Published first']);
+  });
+
+  it('should hide the comments of unpublished posts', async () => {
+    const draft = await createPost({ status: 'draft' });
+
+    const res = await request(app).get(`/api/posts/${draft.body.post._id}/comments`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Status transitions', () => {
+  it('should publish, unpublish and archive a post', async () => {
+    const draft = await createPost({ status: 'draft' });
+    const id = draft.body.post._id;
+
+    const published = await transition(id, 'publish');
+    expect(published.status).toBe(200);
+    expect(published.body.post).toMatchObject({ status: 'published', isPublished: true });
+    expect(published.body.post.publishedAt).toBeTruthy();
+
+    const unpublished = await transition(id, 'unpublish');
+    expect(unpublished.body.post).toMatchObject({ status: 'draft', isPublished: false, publishedAt: null });
+
+    const archived = await transition(id, 'archive');
+    expect(archived.body.post).toMatchObject({ status: 'archived', isPublished: false });
+  });
+
+  it('should reject transitions the workflow does not allow', async () => {
+    const post = await createPost();
+
+    const res = await transition(post.body.post._id, 'publish');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Cannot publish a post that is published');
+  });
+
+  it('should only let the author change the status', async () => {
+    const post = await createPost({ status: 'draft' });
+
+    const res = await transition(post.body.post._id, 'publish', otherToken);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should release scheduled posts once their time has come', async () => {
+    const draft = await createPost({ status: 'draft' });
+    const publishedAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    const scheduled = await transition(draft.body.post._id, 'publish', authorToken, { publishedAt: publishedAt.toISOString() });
+    expect(scheduled.body.post.status).toBe('scheduled');
+
+    expect(await Post.releaseScheduled()).toBe(0);
+    expect((await request(app).get('/api/posts')).body.posts).toHaveLength(0);
+
+    expect(await Post.releaseScheduled(new Date(publishedAt.getTime() + 1000))).toBe(1);
+
+    const stored = await Post.findById(draft.body.post._id);
+    expect(stored.status).toBe('published');
+    expect(stored.isPublished).toBe(true);
+    expect(stored.publishedAt).toEqual(publishedAt);
+    expect((await request(app).get('/api/posts')).body.posts).toHaveLength(1);
+  });
+});
@@ -0,0 +1,143 @@
+// reactions.test.js - Integration tests for post reaction endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Reaction = require('../../src/models/Reaction');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let post;
+let readerToken;
+let otherToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+  // The unique index is what stops concurrent duplicates
+  await Reaction.init();
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const [author, reader, other] = await User.create([
+    { username: 'reactionauthor', email: 'reactionauthor@example.com', password: 'password123' },
+    { username: 'reactionreader', email: 'reactionreader@example.com', password: 'password123' },
+    { username: 'reactionother', email: 'reactionother@example.com', password: 'password123' },
+  ]);
+  readerToken = generateToken(reader);
+  otherToken = generateToken(other);
+
+  post = await Post.create({ title: 'Reacted post', content: 'Content', author: author._id });
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+const react = (token, type, method = 'put') => request(app)[method](`/api/posts/${post._id}/reactions/${type}`)
+  .set('Authorization', `Bearer ${token}`);
+
+describe('PUT /api/posts/:id/reactions/:type', () => {
+  it('should add a like and count it', async () => {
+    const res = await react(readerToken, 'like');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({
+      likeCount: 1,
+      reactionCounts: { like: 1 },
+      viewerReactions: ['like'],
+    });
+  });
+
+  it('should be idempotent', async () => {
+    await react(readerToken, 'love');
+    const res = await react(readerToken, 'love');
+
+    expect(res.status).toBe(200);
+    expect(res.body.reactionCounts).toEqual({ love: 1 });
+    expect(res.body.likeCount).toBe(0);
+  });
+
+  it('should not double count concurrent requests', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => react(readerToken, 'like')));
+
+    const stored = await Post.findById(post._id);
+    expect(stored.likeCount).toBe(1);
+    expect(await Reaction.countDocuments({})).toBe(1);
+  });
+
+  it('should let a user add several reaction types', async () => {
+    await react(readerToken, 'like');
+    await react(otherToken, 'like');
+    const res = await react(readerToken, 'laugh');
+
+    expect(res.body).toEqual({
+      likeCount: 2,
+      reactionCounts: { like: 2, laugh: 1 },
+      viewerReactions: ['like', 'laugh'],
+    });
+  });
+
+  it('should reject unknown types, unknown posts and anonymous users', async () => {
+    const unknownType = await react(readerToken, 'shrug');
+    const unknownPost = await request(app)
+      .put(`/api/posts/${new mongoose.Types.ObjectId()}/reactions/like`)
+      .set('Authorization', `Bearer ${readerToken}`);
+    const anonymous = await request(app).put(`/api/posts/${post._id}/reactions/like`);
+
+    expect(unknownType.status).toBe(400);
+    expect(unknownPost.status).toBe(404);
+    expect(anonymous.status).toBe(401);
+  });
+});
+
+describe('DELETE /api/posts/:id/reactions/:type', () => {
+  it('should remove a reaction once', async () => {
+    await react(readerToken, 'like');
+    await react(otherToken, 'like');
+
+    await react(readerToken, 'like', 'delete');
+    const res = await react(readerToken, 'like', 'delete');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      likeCount: 1,
+      reactionCounts: { like: 1 },
+      viewerReactions: [],
+    });
+  });
+});
+
+describe('GET /api/posts with reactions', () => {
+  it('should return counts and the reactions of the signed-in user', async () => {
+    await react(readerToken, 'like');
+    await react(otherToken, 'wow');
+
+    const single = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+    const list = await request(app)
+      .get('/api/posts')
+      .set('Authorization', `Bearer ${otherToken}`);
+    const anonymous = await request(app).get(`/api/posts/${post._id}`);
+
+    expect(single.body.post.reactionCounts).toEqual({ like: 1, wow: 1 });
+    expect(single.body.post.viewerReactions).toEqual(['like']);
+    expect(list.body.posts[0].viewerReactions).toEqual(['wow']);
+    expect(anonymous.body.post.likeCount).toBe(1);
+    expect(anonymous.body.post.viewerReactions).toBeUndefined();
+  });
+});
@@ -0,0 +1,271 @@
+// twoFactor.test.js - Integration tests for TOTP two-factor authentication
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { generateTotp } = require('../../src/utils/totp');
+
+let mongoServer;
+let now;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(() => {
+  // Fixed clock so codes can be generated for a known time step
+  now = Date.now();
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+// Move the clock to the next 30 second step
+const nextStep = () => {
+  now += 30 * 1000;
+};
+
+const login = (email, password = 'password123') => request(app)
+  .post('/api/auth/login')
+  .send({ email, password });
+
+/**
+ * Creates a user and enrols them in 2FA, returning the secret and recovery codes
+ */
+const createUserWith2fa = async () => {
+  await User.create({
+    username: 'mfauser',
+    email: 'mfa@example.com',
+    password: 'password123',
+  });
+  const { token } = (await login('mfa@example.com')).body;
+
+  const setup = await request(app)
+    .post('/api/auth/2fa/setup')
+    .set('Authorization', `Bearer ${token}`);
+
+  const confirm = await request(app)
+    .post('/api/auth/2fa/confirm')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: generateTotp(setup.body.secret, { time: now }) });
+
+  nextStep();
+  return { token, secret: setup.body.secret, recoveryCodes: confirm.body.recoveryCodes };
+};
+
+describe('2FA enrolment', () => {
+  it('should return a secret and otpauth URI and enable 2FA on confirmation', async () => {
+    await User.create({
+      username: 'mfauser',
+      email: 'mfa@example.com',
+      password: 'password123',
+    });
+    const { token } = (await login('mfa@example.com')).body;
+
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(setup.status).toBe(200);
+    expect(setup.body.secret).toMatch(/^[A-Z2-7]+$/);
+    expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+    const wrong = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '000000' });
+    expect(wrong.status).toBe(400);
+
+    const confirm = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(setup.body.secret, { time: now }) });
+
+    expect(confirm.status).toBe(200);
+    expect(confirm.body.recoveryCodes).toHaveLength(10);
+
+    const user = await User.findOne({ email: 'mfa@example.com' }).select('+twoFactor.recoveryCodes');
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.recoveryCodes).not.toContain(confirm.body.recoveryCodes[0]);
+  });
+});
+
+describe('2FA login', () => {
+  it('should return a challenge instead of tokens when 2FA is enabled', async () => {
+    await createUserWith2fa();
+
+    const res = await login('mfa@example.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body).toHaveProperty('challengeToken');
+    expect(res.body).not.toHaveProperty('token');
+
+    // The challenge token is not an access token
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.challengeToken}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('should complete the login with a valid code and refuse replays', async () => {
+    const { secret } = await createUserWith2fa();
+    const { challengeToken } = (await login('mfa@example.com')).body;
+    const code = generateTotp(secret, { time: now });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken, code });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
+
+    const replay = await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken, code });
+    expect(replay.status).toBe(401);
+  });
+
+  it('should accept each recovery code only once', async () => {
+    const { recoveryCodes } = await createUserWith2fa();
+    const { challengeToken } = (await login('mfa@example.com')).body;
+
+    const res = await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+    expect(res.status).toBe(200);
+
+    const reuse = await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken, recoveryCode: recoveryCodes[0] });
+    expect(reuse.status).toBe(401);
+  });
+
+  it('should reject an invalid code', async () => {
+    await createUserWith2fa();
+    const { challengeToken } = (await login('mfa@example.com')).body;
+
+    const res = await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken, code: '123456' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should refuse accounts deactivated or forced to reset during the challenge', async () => {
+    const { secret } = await createUserWith2fa();
+    const { challengeToken } = (await login('mfa@example.com')).body;
+    const complete = () => request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken, code: generateTotp(secret, { time: now }) });
+
+    await User.updateOne({ email: 'mfa@example.com' }, { isActive: false });
+    const deactivated = await complete();
+    expect(deactivated.status).toBe(403);
+    expect(deactivated.body).not.toHaveProperty('token');
+
+    nextStep();
+    await User.updateOne({ email: 'mfa@example.com' }, { isActive: true, passwordResetRequired: true });
+    const resetRequired = await complete();
+    expect(resetRequired.status).toBe(403);
+    expect(resetRequired.body).not.toHaveProperty('refreshToken');
+  });
+
+  it('should lock the account when code guesses alternate with password logins', async () => {
+    await createUserWith2fa();
+
+    const guess = async () => {
+      const { challengeToken } = (await login('mfa@example.com')).body;
+      return request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken, code: '000000' });
+    };
+
+    for (let i = 0; i < 4; i++) {
+      expect((await guess()).status).toBe(401);
+    }
+
+    const locking = await guess();
+    expect(locking.status).toBe(423);
+
+    // The correct password no longer hands out a challenge
+    const res = await login('mfa@example.com');
+    expect(res.status).toBe(423);
+  });
+});
+
+describe('2FA for admins', () => {
+  it('should force admins to enrol before they get tokens', async () => {
+    await User.create({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    const res = await login('admin@example.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorSetupRequired).toBe(true);
+    expect(res.body).not.toHaveProperty('token');
+
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${res.body.challengeToken}`);
+    expect(setup.status).toBe(200);
+
+    const confirm = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${res.body.challengeToken}`)
+      .send({ code: generateTotp(setup.body.secret, { time: now }) });
+
+    expect(confirm.status).toBe(200);
+    expect(confirm.body).toHaveProperty('token');
+    expect(confirm.body.recoveryCodes).toHaveLength(10);
+  });
+
+  it('should not let admins disable 2FA', async () => {
+    const { token, secret } = await createUserWith2fa();
+    await User.updateOne({ email: 'mfa@example.com' }, { role: 'admin' });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'password123', code: generateTotp(secret, { time: now }) });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/auth/2fa/disable', () => {
+  it('should disable 2FA with the password and a code', async () => {
+    const { token, secret } = await createUserWith2fa();
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'password123', code: generateTotp(secret, { time: now }) });
+
+    expect(res.status).toBe(200);
+
+    const loginRes = await login('mfa@example.com');
+    expect(loginRes.body).toHaveProperty('token');
+  });
+});
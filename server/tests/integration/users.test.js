@@ -0,0 +1,559 @@
+// users.test.js - Integration tests for user profile endpoints
+
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const authConfig = require('../../src/config/auth');
+const { purgeDueAccounts } = require('../../src/utils/accountDeletion');
+const { generateToken } = require('../../src/utils/auth');
+const { createOutboxTransport, setTransport } = require('../../src/utils/mailer');
+
+let mongoServer;
+let user;
+let token;
+const outbox = createOutboxTransport(path.join(os.tmpdir(), `users-outbox-${process.pid}`));
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+  setTransport(outbox);
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  user = await User.create({
+    username: 'profileuser',
+    email: 'profile@example.com',
+    password: 'password123',
+    emailVerified: true,
+    profile: { firstName: 'Ada', lastName: 'Lovelace' },
+  });
+  token = generateToken(user);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+  await outbox.clear();
+});
+
+describe('GET /api/users/me', () => {
+  it('should return the full profile', async () => {
+    const res = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe('profileuser');
+    expect(res.body.user.profile.firstName).toBe('Ada');
+    expect(res.body.user.fullName).toBe('Ada Lovelace');
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    const res = await request(app).get('/api/users/me');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('PATCH /api/users/me', () => {
+  it('should update profile fields', async () => {
+    const res = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ profile: { bio: 'Mathematician', avatar: 'https://example.com/ada.png' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.profile.bio).toBe('Mathematician');
+    expect(res.body.user.profile.avatar).toBe('https://example.com/ada.png');
+    expect(res.body.user.profile.firstName).toBe('Ada');
+  });
+
+  it('should clear a profile field set to an empty string', async () => {
+    const res = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ profile: { lastName: '' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.profile).not.toHaveProperty('lastName');
+    expect(res.body.user.fullName).toBe('profileuser');
+  });
+
+  it('should enforce the schema limits', async () => {
+    const res = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ profile: { bio: 'a'.repeat(501), avatar: 'javascript:alert(1)' } });
+
+    expect(res.status).toBe(400);
+    const fields = res.body.details.map(detail => detail.path);
+    expect(fields).toEqual(expect.arrayContaining(['profile.bio', 'profile.avatar']));
+  });
+
+  it('should change the username', async () => {
+    const res = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: 'countess' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe('countess');
+  });
+
+  it('should refuse the username of the deleted-user placeholder', async () => {
+    const res = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: authConfig.deletedUserUsername });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('This username is reserved');
+  });
+
+  it('should return 409 when the username is taken', async () => {
+    await User.create({
+      username: 'taken',
+      email: 'taken@example.com',
+      password: 'password123',
+    });
+
+    const res = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: 'taken' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should only switch the email once the new address is verified', async () => {
+    const res = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'new@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe('profile@example.com');
+    expect(res.body.user.pendingEmail).toBe('new@example.com');
+
+    const messages = await outbox.read();
+    expect(messages.map(message => message.to).sort())
+      .toEqual(['new@example.com', 'profile@example.com']);
+
+    const confirmation = messages.find(message => message.to === 'new@example.com');
+    const verificationToken = confirmation.text.match(/token=([\w-]+)/)[1];
+
+    const verify = await request(app)
+      .get(`/api/auth/verify-email/${verificationToken}`);
+    expect(verify.status).toBe(200);
+
+    const updated = await User.findById(user._id);
+    expect(updated.email).toBe('new@example.com');
+    expect(updated.pendingEmail).toBeUndefined();
+    expect(updated.emailVerified).toBe(true);
+  });
+
+  it('should return 409 when the email is registered to another account', async () => {
+    await User.create({
+      username: 'other',
+      email: 'other@example.com',
+      password: 'password123',
+    });
+
+    const res = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'other@example.com' });
+
+    expect(res.status).toBe(409);
+    expect(await outbox.read()).toHaveLength(0);
+  });
+});
+
+describe('POST /api/users/me/password', () => {
+  it('should change the password and sign out other sessions', async () => {
+    const other = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'profile@example.com', password: 'password123' });
+    expect(other.status).toBe(200);
+
+    const res = await request(app)
+      .post('/api/users/me/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'password123', newPassword: 'newpassword456' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
+
+    // The old access and refresh tokens are rejected
+    const oldAccess = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${other.body.token}`);
+    expect(oldAccess.status).toBe(401);
+
+    const oldRefresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: other.body.refreshToken });
+    expect(oldRefresh.status).toBe(401);
+
+    // The pair handed back keeps the current device signed in
+    const current = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${res.body.token}`);
+    expect(current.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'profile@example.com', password: 'newpassword456' });
+    expect(login.status).toBe(200);
+  });
+
+  it('should reject an incorrect current password', async () => {
+    const res = await request(app)
+      .post('/api/users/me/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword456' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Current password is incorrect');
+  });
+
+  it('should apply the registration password rules', async () => {
+    const res = await request(app)
+      .post('/api/users/me/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'password123', newPassword: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
+
+describe('/api/users/me/sessions', () => {
+  const login = (userAgent) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: 'profile@example.com', password: 'password123' });
+
+  it('should list active sessions and flag the current one', async () => {
+    const desktop = await login('Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0');
+    await login('curl/8.4.0');
+
+    const res = await request(app)
+      .get('/api/users/me/sessions')
+      .set('Authorization', `Bearer ${desktop.body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions).toHaveLength(2);
+
+    const current = res.body.sessions.find(session => session.current);
+    expect(current.device).toBe('Firefox on Linux');
+    expect(current).toHaveProperty('ip');
+    expect(current).toHaveProperty('lastSeenAt');
+    expect(res.body.sessions.find(session => !session.current).device).toBe('curl');
+  });
+
+  it('should revoke another session and its tokens', async () => {
+    const desktop = await login('Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0');
+    const script = await login('curl/8.4.0');
+
+    const list = await request(app)
+      .get('/api/users/me/sessions')
+      .set('Authorization', `Bearer ${desktop.body.token}`);
+    const other = list.body.sessions.find(session => !session.current);
+
+    const res = await request(app)
+      .delete(`/api/users/me/sessions/${other.id}`)
+      .set('Authorization', `Bearer ${desktop.body.token}`);
+    expect(res.status).toBe(200);
+
+    const access = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${script.body.token}`);
+    expect(access.status).toBe(401);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: script.body.refreshToken });
+    expect(refresh.status).toBe(401);
+
+    const remaining = await request(app)
+      .get('/api/users/me/sessions')
+      .set('Authorization', `Bearer ${desktop.body.token}`);
+    expect(remaining.body.sessions).toHaveLength(1);
+  });
+
+  it('should keep the session when its tokens are refreshed', async () => {
+    const desktop = await login('curl/8.4.0');
+
+    const refreshed = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: desktop.body.refreshToken });
+
+    const res = await request(app)
+      .get('/api/users/me/sessions')
+      .set('Authorization', `Bearer ${refreshed.body.token}`);
+
+    expect(res.body.sessions).toHaveLength(1);
+    expect(res.body.sessions[0].current).toBe(true);
+  });
+
+  it("should return 404 for another user's session", async () => {
+    const own = await login('curl/8.4.0');
+    await User.create({
+      username: 'stranger',
+      email: 'stranger@example.com',
+      password: 'password123',
+    });
+    const strangerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'stranger@example.com', password: 'password123' });
+    const strangerSessions = await request(app)
+      .get('/api/users/me/sessions')
+      .set('Authorization', `Bearer ${strangerLogin.body.token}`);
+
+    const res = await request(app)
+      .delete(`/api/users/me/sessions/${strangerSessions.body.sessions[0].id}`)
+      .set('Authorization', `Bearer ${own.body.token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/users/me/export', () => {
+  it('should download the profile and every post as JSON', async () => {
+    await Post.create([
+      { title: 'First', content: 'One', author: user._id },
+      { title: 'Second', content: 'Two', author: user._id, status: 'draft' },
+    ]);
+    await request(app)
+      .post('/api/users/me/tokens')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'CI', scopes: ['posts:read'] });
+
+    const res = await request(app)
+      .get('/api/users/me/export')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="profileuser-export-/);
+    expect(res.body.user.username).toBe('profileuser');
+    expect(res.body.user).not.toHaveProperty('password');
+    expect(res.body.posts.map(post => post.title)).toEqual(['First', 'Second']);
+    expect(res.body.personalAccessTokens).toHaveLength(1);
+    expect(res.body.personalAccessTokens[0]).not.toHaveProperty('tokenHash');
+  });
+
+  it('should produce valid JSON for an account without posts', async () => {
+    const res = await request(app)
+      .get('/api/users/me/export')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toEqual([]);
+  });
+});
+
+describe('DELETE /api/users/me', () => {
+  it('should schedule the deletion and sign the user out', async () => {
+    const res = await request(app)
+      .delete('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'password123' });
+
+    expect(res.status).toBe(202);
+    const graceMs = authConfig.accountDeletionGraceDays * 24 * 60 * 60 * 1000;
+    expect(new Date(res.body.deletionScheduledFor).getTime()).toBeGreaterThan(Date.now() + graceMs - 60000);
+
+    const after = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${token}`);
+    expect(after.status).toBe(401);
+
+    const messages = await outbox.read();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].subject).toBe('Your account is scheduled for deletion');
+    expect(messages[0].text).toMatch(/cancel the deletion/);
+    expect(messages[0].text).toMatch(/Signing in alone does not cancel it/);
+  });
+
+  it('should require the correct password', async () => {
+    const res = await request(app)
+      .delete('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'wrong-password' });
+
+    expect(res.status).toBe(400);
+    expect((await User.findById(user._id)).deletionScheduledFor).toBeNull();
+  });
+
+  it('should let the user cancel the deletion after signing in again', async () => {
+    await request(app)
+      .delete('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'password123' });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'profile@example.com', password: 'password123' });
+    expect(login.status).toBe(200);
+
+    // Signing in leaves the deletion scheduled until it is cancelled explicitly
+    expect((await User.findById(user._id)).deletionScheduledFor).not.toBeNull();
+
+    const res = await request(app)
+      .post('/api/users/me/cancel-deletion')
+      .set('Authorization', `Bearer ${login.body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.deletionScheduledFor).toBeNull();
+
+    const again = await request(app)
+      .post('/api/users/me/cancel-deletion')
+      .set('Authorization', `Bearer ${login.body.token}`);
+    expect(again.status).toBe(400);
+  });
+});
+
+describe('purgeDueAccounts', () => {
+  const originalPolicy = authConfig.accountDeletionPostPolicy;
+
+  afterEach(() => {
+    authConfig.accountDeletionPostPolicy = originalPolicy;
+  });
+
+  it('should leave accounts within their grace period alone', async () => {
+    await User.updateOne({ _id: user._id }, { deletionScheduledFor: new Date(Date.now() + 60000) });
+
+    expect(await purgeDueAccounts()).toEqual({ erased: 0, failed: 0 });
+    expect(await User.exists({ _id: user._id })).toBeTruthy();
+  });
+
+  it('should reassign posts to the placeholder account', async () => {
+    authConfig.accountDeletionPostPolicy = 'reassign';
+    const post = await Post.create({ title: 'Keep me', content: 'Content', author: user._id });
+    await User.updateOne({ _id: user._id }, { deletionScheduledFor: new Date(Date.now() - 1000) });
+
+    expect(await purgeDueAccounts()).toEqual({ erased: 1, failed: 0 });
+
+    expect(await User.exists({ _id: user._id })).toBeNull();
+    const placeholder = await User.findOne({ isSystem: true });
+    expect(placeholder.username).toBe(authConfig.deletedUserUsername);
+    expect(placeholder.isActive).toBe(false);
+    expect(String((await Post.findById(post._id)).author)).toBe(String(placeholder._id));
+  });
+
+  it('should not hand posts to an account holding the placeholder name', async () => {
+    authConfig.accountDeletionPostPolicy = 'reassign';
+    const squatter = await User.create({
+      username: authConfig.deletedUserUsername,
+      email: authConfig.deletedUserEmail,
+      password: 'password123',
+    });
+    const post = await Post.create({ title: 'Not yours', content: 'Content', author: user._id });
+    await User.updateOne({ _id: user._id }, { deletionScheduledFor: new Date(Date.now() - 1000) });
+
+    expect(await purgeDueAccounts()).toEqual({ erased: 1, failed: 0 });
+
+    const placeholder = await User.findOne({ isSystem: true });
+    expect(String(placeholder._id)).not.toBe(String(squatter._id));
+    expect(String((await Post.findById(post._id)).author)).toBe(String(placeholder._id));
+  });
+
+  it('should delete posts when configured to', async () => {
+    authConfig.accountDeletionPostPolicy = 'delete';
+    await Post.create({ title: 'Remove me', content: 'Content', author: user._id });
+    await User.updateOne({ _id: user._id }, { deletionScheduledFor: new Date(Date.now() - 1000) });
+
+    await purgeDueAccounts();
+
+    expect(await Post.countDocuments({})).toBe(0);
+    expect(await User.exists({ username: authConfig.deletedUserUsername })).toBeNull();
+  });
+});
+
+describe('GET /api/users/:username', () => {
+  it('should return the public profile without private fields', async () => {
+    await User.updateOne({ _id: user._id }, { 'profile.bio': 'Mathematician' });
+    await Post.create([
+      { title: 'Published', content: 'Visible', author: user._id },
+      { title: 'Draft', content: 'Hidden', author: user._id, status: 'draft' },
+    ]);
+
+    const res = await request(app).get('/api/users/profileuser');
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual({
+      username: 'profileuser',
+      fullName: 'Ada Lovelace',
+      bio: 'Mathematician',
+      avatar: null,
+      joinedAt: expect.any(String),
+      postCount: 1,
+      followerCount: 0,
+      followingCount: 0,
+    });
+  });
+
+  it('should return 404 for unknown or deactivated users', async () => {
+    await User.updateOne({ _id: user._id }, { isActive: false });
+
+    const deactivated = await request(app).get('/api/users/profileuser');
+    const unknown = await request(app).get('/api/users/nobody');
+
+    expect(deactivated.status).toBe(404);
+    expect(unknown.status).toBe(404);
+  });
+
+  it('should return 400 for an invalid username', async () => {
+    const res = await request(app).get('/api/users/not-a-username');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/users/:username/posts', () => {
+  it('should paginate the published posts of the author', async () => {
+    const posts = [];
+    for (let i = 0; i < 3; i++) {
+      posts.push({
+        title: `Post ${i}`,
+        content: 'Content',
+        author: user._id,
+        createdAt: new Date(Date.now() - i * 1000),
+      });
+    }
+    await Post.create([
+      ...posts,
+      { title: 'Draft', content: 'Hidden', author: user._id, status: 'draft' },
+    ]);
+
+    const res = await request(app).get('/api/users/profileuser/posts?page=1&limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map(post => post.title)).toEqual(['Post 0', 'Post 1']);
+    expect(res.body.posts[0].author).toEqual({ _id: String(user._id), username: 'profileuser' });
+    expect(res.body.pagination).toEqual({ page: 1, limit: 2, total: 3, pages: 2 });
+  });
+
+  it('should return 404 for an unknown user', async () => {
+    const res = await request(app).get('/api/users/nobody/posts');
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,74 @@
+// wellKnown.test.js - Integration tests for the well-known discovery routes
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const { createKeyring, setKeyring } = require('../../src/utils/keyring');
+
+const SECRET = 'shared-hs256-secret-that-must-stay-private';
+
+let mongoServer;
+let dir;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+
+  const rsa = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  const ec = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'P-256',
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+
+  // A current RS256 signing key, a retired ES256 key and the legacy secret
+  fs.writeFileSync(path.join(dir, 'rsa-current.pem'), rsa.privateKey);
+  fs.writeFileSync(path.join(dir, 'ec-retired.pem'), ec.publicKey);
+  setKeyring(createKeyring({ keysDir: dir, signingKeyId: 'rsa-current', secret: SECRET }));
+}, 60000); // Increase timeout for MongoDB download
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+  setKeyring(null);
+});
+
+describe('GET /.well-known/jwks.json', () => {
+  it('should publish the public RS256 and ES256 keys with cache headers', async () => {
+    const res = await request(app).get('/.well-known/jwks.json');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/json/);
+    expect(res.headers['cache-control']).toBe('public, max-age=300');
+
+    const byKid = Object.fromEntries(res.body.keys.map(key => [key.kid, key]));
+    expect(Object.keys(byKid).sort()).toEqual(['ec-retired', 'rsa-current']);
+    expect(byKid['rsa-current']).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+    expect(byKid['ec-retired']).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+
+    // Public parameters only
+    expect(byKid['rsa-current']).not.toHaveProperty('d');
+    expect(byKid['ec-retired']).not.toHaveProperty('d');
+  });
+
+  it('should never expose the HS256 secret', async () => {
+    const res = await request(app).get('/.well-known/jwks.json');
+
+    expect(res.body.keys.every(key => key.alg !== 'HS256' && key.kty !== 'oct')).toBe(true);
+    expect(res.text).not.toContain(SECRET);
+    expect(res.text).not.toContain(Buffer.from(SECRET).toString('base64url'));
+  });
+});
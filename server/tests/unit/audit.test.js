@@ -0,0 +1,99 @@
+// audit.test.js - Unit tests for the audit trail and request IDs
+
+jest.mock('../../src/models/AuditEvent', () => ({
+  create: jest.fn(),
+}));
+
+const AuditEvent = require('../../src/models/AuditEvent');
+const { recordAuditEvent } = require('../../src/utils/audit');
+const { assignRequestId } = require('../../src/middleware/requestLogger');
+
+const createRequest = (overrides = {}) => ({
+  id: 'req-1',
+  ip: '203.0.113.7',
+  user: { userId: '507f1f77bcf86cd799439011', username: 'alice' },
+  get: jest.fn(header => (header === 'User-Agent' ? 'curl/8.4.0' : undefined)),
+  ...overrides,
+});
+
+describe('recordAuditEvent', () => {
+  beforeEach(() => {
+    AuditEvent.create.mockReset();
+  });
+
+  it('should record the authenticated user, IP and request ID', async () => {
+    AuditEvent.create.mockResolvedValue({ action: 'logout' });
+
+    await recordAuditEvent(createRequest(), 'logout', { details: { allDevices: true } });
+
+    expect(AuditEvent.create).toHaveBeenCalledWith({
+      action: 'logout',
+      outcome: 'success',
+      actor: '507f1f77bcf86cd799439011',
+      actorUsername: 'alice',
+      targetType: undefined,
+      targetId: undefined,
+      ip: '203.0.113.7',
+      userAgent: 'curl/8.4.0',
+      requestId: 'req-1',
+      details: { allDevices: true },
+    });
+  });
+
+  it('should prefer an explicit actor and record the target', async () => {
+    const actor = { _id: 'bob-id', username: 'bob' };
+
+    await recordAuditEvent(createRequest({ user: undefined }), 'password.reset', {
+      actor,
+      target: { type: 'user', id: 'bob-id' },
+    });
+
+    expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      actor: 'bob-id',
+      actorUsername: 'bob',
+      targetType: 'user',
+      targetId: 'bob-id',
+    }));
+  });
+
+  it('should record anonymous failures without an actor', async () => {
+    await recordAuditEvent(createRequest({ user: undefined }), 'login', { outcome: 'failure' });
+
+    expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      actor: null,
+      outcome: 'failure',
+    }));
+  });
+
+  it('should not fail the request when the event cannot be stored', async () => {
+    AuditEvent.create.mockRejectedValue(new Error('database down'));
+
+    await expect(recordAuditEvent(createRequest(), 'logout')).resolves.toBeNull();
+  });
+});
+
+describe('assignRequestId', () => {
+  const run = (incoming) => {
+    const req = { get: jest.fn(() => incoming) };
+    const res = { set: jest.fn() };
+    const next = jest.fn();
+    assignRequestId(req, res, next);
+    return { req, res, next };
+  };
+
+  it('should generate an ID and echo it in the response', () => {
+    const { req, res, next } = run(undefined);
+
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.set).toHaveBeenCalledWith('X-Request-Id', req.id);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should keep a well-formed incoming ID', () => {
+    expect(run('edge-42.abc').req.id).toBe('edge-42.abc');
+  });
+
+  it('should replace a malformed incoming ID', () => {
+    expect(run('bad id\nwith newline').req.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
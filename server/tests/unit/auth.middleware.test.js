@@ -1,11 +1,53 @@
 // auth.middleware.test.js - Unit tests for authentication middleware
 
-const { authenticate, requireOwnership, requireRole, rateLimit } = require('../../src/middleware/auth');
-const { generateToken } = require('../../src/utils/auth');
+const {
+  authenticate,
+  optionalAuthenticate,
+  rejectPersonalAccessTokens,
+  requireVerifiedEmail,
+  requireOwnership,
+  requireResourceOwnership,
+  requireRole,
+  requirePermission,
+  rateLimit,
+} = require('../../src/middleware/auth');
+const { generateToken, generateChallengeToken } = require('../../src/utils/auth');
+const RevokedToken = require('../../src/models/RevokedToken');
+const Session = require('../../src/models/Session');
+const PersonalAccessToken = require('../../src/models/PersonalAccessToken');
+const User = require('../../src/models/User');
+const authConfig = require('../../src/config/auth');
+
+jest.mock('../../src/models/RevokedToken', () => ({
+  isRevoked: jest.fn(),
+}));
+
+jest.mock('../../src/models/Session', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn(),
+}));
+
+jest.mock('../../src/models/PersonalAccessToken', () => ({
+  modelName: 'PersonalAccessToken',
+  findActiveByToken: jest.fn(),
+  updateOne: jest.fn(),
+}));
+
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn(),
+}));
 
 describe('authenticate middleware', () => {
   let req, res, next;
 
+  const mockAccount = (account) => {
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+  };
+
+  const mockSession = (session) => {
+    Session.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(session) });
+  };
+
   beforeEach(() => {
     req = {
       headers: {},
@@ -15,14 +57,16 @@ describe('authenticate middleware', () => {
       json: jest.fn(),
     };
     next = jest.fn();
+    RevokedToken.isRevoked.mockResolvedValue(false);
+    mockAccount({ isActive: true, role: 'user' });
   });
 
-  it('should call next() for valid token', () => {
+  it('should call next() for valid token', async () => {
     const user = { _id: '123', username: 'testuser' };
     const token = generateToken(user);
     req.headers.authorization = `Bearer ${token}`;
 
-    authenticate(req, res, next);
+    await authenticate(req, res, next);
 
     expect(req.user).toBeDefined();
     expect(req.user.userId).toBe('123');
@@ -30,33 +74,306 @@ describe('authenticate middleware', () => {
     expect(next).toHaveBeenCalled();
   });
 
-  it('should return 401 for missing token', () => {
-    authenticate(req, res, next);
+  it('should attach a can() helper bound to the user', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser', role: 'user' });
+    req.headers.authorization = `Bearer ${token}`;
+
+    await authenticate(req, res, next);
+
+    expect(req.can('post:create')).toBe(true);
+    expect(req.can('post:update', { author: '123' })).toBe(true);
+    expect(req.can('post:update', { author: '456' })).toBe(false);
+  });
+
+  it('should return 401 for missing token', async () => {
+    await authenticate(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ error: 'Access token required' });
     expect(next).not.toHaveBeenCalled();
   });
 
-  it('should return 401 for invalid token', () => {
+  it('should return 401 for invalid token', async () => {
     req.headers.authorization = 'Bearer invalid-token';
 
-    authenticate(req, res, next);
+    await authenticate(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired token' });
     expect(next).not.toHaveBeenCalled();
   });
 
-  it('should return 401 for malformed authorization header', () => {
+  it('should return 401 for malformed authorization header', async () => {
     req.headers.authorization = 'InvalidFormat token123';
 
-    authenticate(req, res, next);
+    await authenticate(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ error: 'Access token required' });
     expect(next).not.toHaveBeenCalled();
   });
+
+  it('should resolve the role from the account', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser', role: 'user' });
+    req.headers.authorization = `Bearer ${token}`;
+    mockAccount({ isActive: true, role: 'admin' });
+
+    await authenticate(req, res, next);
+
+    expect(User.findById).toHaveBeenCalledWith('123');
+    expect(req.user.role).toBe('admin');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should return 401 for deactivated accounts', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser' });
+    req.headers.authorization = `Bearer ${token}`;
+    mockAccount({ isActive: false, role: 'user' });
+
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Account is deactivated' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 401 for tokens issued before the last password change', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser', tokenVersion: 1 });
+    req.headers.authorization = `Bearer ${token}`;
+    mockAccount({ isActive: true, role: 'user', tokenVersion: 2 });
+
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Token has been revoked' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should accept tokens carrying the current token version', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser', tokenVersion: 2 });
+    req.headers.authorization = `Bearer ${token}`;
+    mockAccount({ isActive: true, role: 'user', tokenVersion: 2 });
+
+    await authenticate(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should accept tokens of an active session', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser' }, { sessionId: 'abc' });
+    req.headers.authorization = `Bearer ${token}`;
+    mockSession({ _id: 'abc', user: '123', revokedAt: null, lastSeenAt: new Date() });
+
+    await authenticate(req, res, next);
+
+    expect(Session.findById).toHaveBeenCalledWith('abc');
+    expect(req.user.sid).toBe('abc');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should return 401 for tokens of a revoked session', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser' }, { sessionId: 'abc' });
+    req.headers.authorization = `Bearer ${token}`;
+    mockSession({ _id: 'abc', user: '123', revokedAt: new Date(), lastSeenAt: new Date() });
+
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Session has been revoked' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should update last-seen at most once per minute', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser' }, { sessionId: 'abc' });
+    req.headers.authorization = `Bearer ${token}`;
+    Session.updateOne.mockReset().mockResolvedValue({});
+
+    mockSession({ _id: 'abc', user: '123', revokedAt: null, lastSeenAt: new Date(Date.now() - 30 * 1000) });
+    await authenticate(req, res, next);
+    expect(Session.updateOne).not.toHaveBeenCalled();
+
+    mockSession({ _id: 'abc', user: '123', revokedAt: null, lastSeenAt: new Date(Date.now() - 90 * 1000) });
+    await authenticate(req, res, next);
+    expect(Session.updateOne).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('should accept personal access tokens with their scopes', async () => {
+    req.headers.authorization = 'Bearer pat_abcdef';
+    req.ip = '127.0.0.1';
+    PersonalAccessToken.findActiveByToken.mockResolvedValue({
+      _id: 't1',
+      user: '123',
+      scopes: ['posts:write'],
+      lastUsedAt: null,
+    });
+    PersonalAccessToken.updateOne.mockReset().mockResolvedValue({});
+    mockAccount({ _id: '123', username: 'testuser', isActive: true, role: 'user' });
+
+    await authenticate(req, res, next);
+
+    expect(PersonalAccessToken.findActiveByToken).toHaveBeenCalledWith('pat_abcdef');
+    expect(req.user).toMatchObject({ userId: '123', role: 'user', scopes: ['posts:write'], tokenId: 't1' });
+    expect(req.can('post:create')).toBe(true);
+    expect(req.can('user:update:own')).toBe(false);
+    expect(PersonalAccessToken.updateOne).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should return 401 for unknown or expired personal access tokens', async () => {
+    req.headers.authorization = 'Bearer pat_unknown';
+    PersonalAccessToken.findActiveByToken.mockResolvedValue(null);
+
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 401 when the account no longer exists', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser' });
+    req.headers.authorization = `Bearer ${token}`;
+    mockAccount(null);
+
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 401 for challenge tokens', async () => {
+    const token = generateChallengeToken({ _id: '123', username: 'testuser' }, '2fa-login');
+    req.headers.authorization = `Bearer ${token}`;
+
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 401 for a denylisted token', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser' });
+    req.headers.authorization = `Bearer ${token}`;
+    RevokedToken.isRevoked.mockResolvedValue(true);
+
+    await authenticate(req, res, next);
+
+    expect(RevokedToken.isRevoked).toHaveBeenCalledWith(expect.any(String));
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Token has been revoked' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should pass denylist lookup errors to next()', async () => {
+    const token = generateToken({ _id: '123', username: 'testuser' });
+    req.headers.authorization = `Bearer ${token}`;
+    const error = new Error('Database unavailable');
+    RevokedToken.isRevoked.mockRejectedValue(error);
+
+    await authenticate(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(error);
+    expect(req.user).toBeUndefined();
+  });
+});
+
+describe('optionalAuthenticate middleware', () => {
+  it('should call next() without a user for anonymous requests', () => {
+    const req = { headers: {} };
+    const next = jest.fn();
+
+    optionalAuthenticate(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toBeUndefined();
+  });
+
+  it('should reject invalid credentials instead of ignoring them', async () => {
+    const req = { headers: { authorization: 'Bearer invalid-token' } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await optionalAuthenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('rejectPersonalAccessTokens middleware', () => {
+  it('should return 403 for personal access tokens', () => {
+    const req = { headers: { authorization: 'Bearer pat_abcdef' } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    rejectPersonalAccessTokens(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should call next() for other requests', () => {
+    const next = jest.fn();
+
+    rejectPersonalAccessTokens({ headers: { authorization: 'Bearer eyJhbGciOi' } }, {}, next);
+    rejectPersonalAccessTokens({ headers: {} }, {}, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('requireVerifiedEmail middleware', () => {
+  let req, res, next;
+  const originalPolicy = authConfig.requireVerifiedEmailForPosts;
+
+  const mockUser = (user) => {
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  };
+
+  beforeEach(() => {
+    req = {
+      user: { userId: '123' },
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    next = jest.fn();
+    User.findById.mockReset();
+    authConfig.requireVerifiedEmailForPosts = true;
+  });
+
+  afterEach(() => {
+    authConfig.requireVerifiedEmailForPosts = originalPolicy;
+  });
+
+  it('should call next() when the policy is disabled', async () => {
+    authConfig.requireVerifiedEmailForPosts = false;
+
+    await requireVerifiedEmail(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  it('should call next() for verified users', async () => {
+    mockUser({ emailVerified: true });
+
+    await requireVerifiedEmail(req, res, next);
+
+    expect(User.findById).toHaveBeenCalledWith('123');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should return 403 for unverified users', async () => {
+    mockUser({ emailVerified: false });
+
+    await requireVerifiedEmail(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Email verification required' });
+    expect(next).not.toHaveBeenCalled();
+  });
 });
 
 describe('requireOwnership middleware', () => {
@@ -93,6 +410,93 @@ describe('requireOwnership middleware', () => {
   });
 });
 
+describe('requireResourceOwnership middleware', () => {
+  let req, res, next, Model, query;
+  const post = { _id: 'p1', author: '123' };
+
+  beforeEach(() => {
+    query = {
+      select: jest.fn().mockReturnThis(),
+      then: (resolve, reject) => Promise.resolve(query.result).then(resolve, reject),
+      result: post,
+    };
+    Model = {
+      modelName: 'Post',
+      findById: jest.fn(() => query),
+    };
+    req = {
+      params: { id: 'p1' },
+      user: { userId: '123', role: 'user' },
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    next = jest.fn();
+  });
+
+  it('should attach the resource and call next() for the owner', async () => {
+    await requireResourceOwnership(Model, { permission: 'post:update' })(req, res, next);
+
+    expect(Model.findById).toHaveBeenCalledWith('p1');
+    expect(req.post).toBe(post);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should return 404 when the resource does not exist', async () => {
+    query.result = null;
+
+    await requireResourceOwnership(Model, { permission: 'post:update' })(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Post not found' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 403 for other users', async () => {
+    req.user.userId = '456';
+
+    await requireResourceOwnership(Model, { permission: 'post:update' })(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(req.post).toBeUndefined();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should let admins bypass ownership', async () => {
+    req.user = { userId: '999', role: 'admin' };
+
+    await requireResourceOwnership(Model, { permission: 'post:delete' })(req, res, next);
+
+    expect(req.post).toBe(post);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should honour custom param, key and projection options', async () => {
+    req.params = { postId: 'p1' };
+
+    await requireResourceOwnership(Model, {
+      permission: 'post:update',
+      param: 'postId',
+      as: 'target',
+      select: 'author',
+    })(req, res, next);
+
+    expect(Model.findById).toHaveBeenCalledWith('p1');
+    expect(query.select).toHaveBeenCalledWith('author');
+    expect(req.target).toBe(post);
+  });
+
+  it('should pass lookup errors to next()', async () => {
+    const error = new Error('Cast to ObjectId failed');
+    Model.findById.mockImplementation(() => { throw error; });
+
+    await requireResourceOwnership(Model, { permission: 'post:update' })(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+});
+
 describe('requireRole middleware', () => {
   let req, res, next;
 
@@ -138,6 +542,52 @@ describe('requireRole middleware', () => {
   });
 });
 
+describe('requirePermission middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      user: { userId: '123', role: 'user' },
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    next = jest.fn();
+  });
+
+  it('should call next() when the role grants the permission', () => {
+    requirePermission('post:create')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should accept the :any scope of a permission', () => {
+    req.user.role = 'admin';
+
+    requirePermission('post:delete')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should return 403 when the role lacks the permission', () => {
+    requirePermission('user:deactivate')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Insufficient permissions' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 403 when the user has no role', () => {
+    delete req.user.role;
+
+    requirePermission('post:create')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Role information not found' });
+  });
+});
+
 describe('rateLimit middleware', () => {
   let req, res, next;
   const maxRequests = 2;
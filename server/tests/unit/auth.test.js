@@ -2,9 +2,14 @@
 
 const {
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRefreshToken,
+  hashToken,
   verifyToken,
   hashPassword,
   comparePassword,
+  compareDummyPassword,
   extractToken,
 } = require('../../src/utils/auth');
 
@@ -28,6 +33,73 @@ describe('generateToken', () => {
     expect(decoded.userId).toBe('456');
     expect(decoded.username).toBe('johndoe');
   });
+
+  it('should include the role in token', () => {
+    const user = { _id: '456', username: 'johndoe', role: 'admin' };
+    const decoded = require('jsonwebtoken').decode(generateToken(user));
+
+    expect(decoded.role).toBe('admin');
+  });
+
+  it('should include the token version in token', () => {
+    const withVersion = require('jsonwebtoken').decode(generateToken({ _id: '456', tokenVersion: 3 }));
+    const withoutVersion = require('jsonwebtoken').decode(generateToken({ _id: '456' }));
+
+    expect(withVersion.tv).toBe(3);
+    expect(withoutVersion.tv).toBe(0);
+  });
+
+  it('should issue short-lived tokens with a unique ID', () => {
+    const user = { _id: '456', username: 'johndoe' };
+    const first = require('jsonwebtoken').decode(generateToken(user));
+    const second = require('jsonwebtoken').decode(generateToken(user));
+
+    expect(first.jti).toBeDefined();
+    expect(first.jti).not.toBe(second.jti);
+    expect(first.exp - first.iat).toBe(15 * 60);
+  });
+});
+
+describe('challenge tokens', () => {
+  const user = { _id: '123', username: 'testuser' };
+
+  it('should verify a challenge token for its purpose', () => {
+    const token = generateChallengeToken(user, '2fa-login');
+    const decoded = verifyChallengeToken(token, '2fa-login');
+
+    expect(decoded.userId).toBe('123');
+    expect(decoded.purpose).toBe('2fa-login');
+  });
+
+  it('should reject a challenge token used for another purpose', () => {
+    const token = generateChallengeToken(user, '2fa-enroll');
+
+    expect(() => verifyChallengeToken(token, '2fa-login')).toThrow('Invalid token');
+  });
+
+  it('should reject access tokens', () => {
+    const token = generateToken(user);
+
+    expect(() => verifyChallengeToken(token, '2fa-login')).toThrow('Invalid token');
+  });
+});
+
+describe('generateRefreshToken', () => {
+  it('should generate a random opaque token', () => {
+    const token = generateRefreshToken();
+
+    expect(typeof token).toBe('string');
+    expect(token.length).toBeGreaterThanOrEqual(64);
+    expect(token).not.toBe(generateRefreshToken());
+  });
+});
+
+describe('hashToken', () => {
+  it('should produce a stable SHA-256 digest', () => {
+    expect(hashToken('abc')).toBe(hashToken('abc'));
+    expect(hashToken('abc')).toMatch(/^[a-f0-9]{64}$/);
+    expect(hashToken('abc')).not.toBe(hashToken('abd'));
+  });
 });
 
 describe('verifyToken', () => {
@@ -95,6 +167,13 @@ describe('comparePassword', () => {
   });
 });
 
+describe('compareDummyPassword', () => {
+  it('should always return false', async () => {
+    expect(await compareDummyPassword('password123')).toBe(false);
+    expect(await compareDummyPassword('')).toBe(false);
+  });
+});
+
 describe('extractToken', () => {
   it('should extract token from Bearer header', () => {
     const authHeader = 'Bearer abc123def456';
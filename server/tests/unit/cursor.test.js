@@ -0,0 +1,40 @@
+// cursor.test.js - Unit tests for keyset pagination cursors
+
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, afterCursor } = require('../../src/utils/cursor');
+
+describe('pagination cursors', () => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    publishedAt: new Date('2024-03-01T12:00:00.000Z'),
+  };
+
+  it('should round-trip a document position', () => {
+    const position = decodeCursor(encodeCursor(doc));
+
+    expect(position.publishedAt).toEqual(doc.publishedAt);
+    expect(String(position.id)).toBe(String(doc._id));
+  });
+
+  it('should produce URL-safe cursors', () => {
+    expect(encodeCursor(doc)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('2024-03-01T12:00:00.000Z|nope').toString('base64url'))).toBeNull();
+    expect(decodeCursor(Buffer.from(`yesterday|${doc._id}`).toString('base64url'))).toBeNull();
+  });
+
+  it('should select documents strictly after the position', () => {
+    const position = decodeCursor(encodeCursor(doc));
+
+    expect(afterCursor(position)).toEqual({
+      publishedAt: { $lte: doc.publishedAt },
+      $or: [
+        { publishedAt: { $lt: doc.publishedAt } },
+        { _id: { $lt: position.id } },
+      ],
+    });
+  });
+});
@@ -0,0 +1,62 @@
+// errorHandler.test.js - Unit tests for graceful shutdown
+
+const { gracefulShutdown } = require('../../src/middleware/errorHandler');
+
+describe('gracefulShutdown', () => {
+  let handlers;
+  let server;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    handlers = {};
+    jest.spyOn(process, 'on').mockImplementation((event, handler) => {
+      handlers[event] = handler;
+      return process;
+    });
+    jest.spyOn(process, 'exit').mockImplementation(() => {});
+    server = { close: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  const closeServer = async () => {
+    const [onClosed] = server.close.mock.calls[0];
+    await onClosed();
+  };
+
+  it('should run the cleanup after the server closes and before exiting', async () => {
+    const order = [];
+    const cleanup = jest.fn(async () => { order.push('cleanup'); });
+    process.exit.mockImplementation(() => { order.push('exit'); });
+    gracefulShutdown(server, { cleanup });
+
+    handlers.SIGTERM();
+    expect(cleanup).not.toHaveBeenCalled();
+
+    await closeServer();
+
+    expect(order).toEqual(['cleanup', 'exit']);
+    expect(process.exit).toHaveBeenCalledWith(0);
+  });
+
+  it('should still exit when the cleanup fails', async () => {
+    gracefulShutdown(server, { cleanup: jest.fn().mockRejectedValue(new Error('flush failed')) });
+
+    handlers.SIGINT();
+    await closeServer();
+
+    expect(process.exit).toHaveBeenCalledWith(0);
+  });
+
+  it('should exit without a cleanup', async () => {
+    gracefulShutdown(server);
+
+    handlers.SIGTERM();
+    await closeServer();
+
+    expect(process.exit).toHaveBeenCalledWith(0);
+  });
+});
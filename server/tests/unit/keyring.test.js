@@ -0,0 +1,140 @@
+// keyring.test.js - Unit tests for JWT key rotation
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createKeyring, setKeyring, getJwks } = require('../../src/utils/keyring');
+const { generateToken, verifyToken } = require('../../src/utils/auth');
+
+const writeKey = (dir, kid, key) => {
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), key);
+};
+
+const generateRsa = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+});
+
+const generateEc = () => crypto.generateKeyPairSync('ec', {
+  namedCurve: 'P-256',
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+});
+
+describe('JWT keyring', () => {
+  let dir;
+  let rsa;
+  let ec;
+
+  beforeAll(() => {
+    rsa = generateRsa();
+    ec = generateEc();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    setKeyring(null);
+  });
+
+  it('should sign with an RS256 key and name it in the header', () => {
+    writeKey(dir, '2024-01', rsa.privateKey);
+    setKeyring(createKeyring({ keysDir: dir }));
+
+    const token = generateToken({ _id: '123', username: 'testuser' });
+    const { header } = jwt.decode(token, { complete: true });
+
+    expect(header).toMatchObject({ alg: 'RS256', kid: '2024-01' });
+    expect(verifyToken(token).userId).toBe('123');
+  });
+
+  it('should sign with an ES256 key', () => {
+    writeKey(dir, 'ec-1', ec.privateKey);
+    setKeyring(createKeyring({ keysDir: dir }));
+
+    const token = generateToken({ _id: '123' });
+
+    expect(jwt.decode(token, { complete: true }).header.alg).toBe('ES256');
+    expect(verifyToken(token).userId).toBe('123');
+  });
+
+  it('should keep verifying tokens of a retired key during rotation', () => {
+    writeKey(dir, 'old', rsa.privateKey);
+    setKeyring(createKeyring({ keysDir: dir }));
+    const oldToken = generateToken({ _id: '123' });
+
+    // Rotate: the old key keeps only its public half, the new one signs
+    writeKey(dir, 'old', rsa.publicKey);
+    writeKey(dir, 'new', ec.privateKey);
+    setKeyring(createKeyring({ keysDir: dir, signingKeyId: 'new' }));
+    const newToken = generateToken({ _id: '456' });
+
+    expect(jwt.decode(newToken, { complete: true }).header.kid).toBe('new');
+    expect(verifyToken(oldToken).userId).toBe('123');
+    expect(verifyToken(newToken).userId).toBe('456');
+  });
+
+  it('should reject tokens signed with an unknown key', () => {
+    writeKey(dir, 'current', rsa.privateKey);
+    setKeyring(createKeyring({ keysDir: dir }));
+
+    const forged = jwt.sign({ userId: '123' }, ec.privateKey, { algorithm: 'ES256', keyid: 'other' });
+
+    expect(() => verifyToken(forged)).toThrow('Invalid token');
+  });
+
+  it('should not let a token choose the algorithm of a key', () => {
+    writeKey(dir, 'current', rsa.privateKey);
+    setKeyring(createKeyring({ keysDir: dir }));
+
+    // HS256 "signed" with the public key, a classic algorithm confusion attack
+    const forged = jwt.sign(
+      { userId: 'admin' },
+      Buffer.from(rsa.publicKey),
+      { algorithm: 'HS256', keyid: 'current', allowInvalidAsymmetricKeyTypes: true }
+    );
+
+    expect(() => verifyToken(forged)).toThrow('Invalid token');
+  });
+
+  it('should accept tokens without a kid signed with the shared secret', () => {
+    writeKey(dir, 'new', rsa.privateKey);
+    setKeyring(createKeyring({ keysDir: dir, secret: 'shared-secret', signingKeyId: 'new' }));
+
+    const legacy = jwt.sign({ userId: '123' }, 'shared-secret');
+
+    expect(verifyToken(legacy).userId).toBe('123');
+  });
+
+  it('should require a choice between several private keys', () => {
+    writeKey(dir, 'a', rsa.privateKey);
+    writeKey(dir, 'b', ec.privateKey);
+
+    expect(() => createKeyring({ keysDir: dir })).toThrow('JWT_SIGNING_KEY_ID');
+    expect(createKeyring({ keysDir: dir, signingKeyId: 'b' }).signingKey.kid).toBe('b');
+  });
+
+  it('should refuse to start in production without a key', () => {
+    expect(() => createKeyring({ production: true })).toThrow('No JWT signing key configured');
+    expect(createKeyring({ production: false }).signingKey.algorithm).toBe('HS256');
+  });
+
+  it('should publish only public asymmetric keys as a JWK Set', () => {
+    writeKey(dir, 'rsa', rsa.privateKey);
+    writeKey(dir, 'ec', ec.publicKey);
+    setKeyring(createKeyring({ keysDir: dir, secret: 'shared-secret', signingKeyId: 'rsa' }));
+
+    const { keys } = getJwks();
+
+    expect(keys.map(key => key.kid).sort()).toEqual(['ec', 'rsa']);
+    expect(keys.find(key => key.kid === 'rsa')).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+    expect(keys.find(key => key.kid === 'ec')).toMatchObject({ kty: 'EC', alg: 'ES256', crv: 'P-256' });
+    expect(keys.every(key => key.d === undefined)).toBe(true);
+  });
+});
@@ -0,0 +1,25 @@
+// loginThrottle.test.js - Unit tests for login brute-force protection
+
+const { computeDelaySeconds } = require('../../src/utils/loginThrottle');
+const authConfig = require('../../src/config/auth');
+
+jest.mock('../../src/models/LoginThrottle', () => ({}));
+
+describe('computeDelaySeconds', () => {
+  const threshold = authConfig.loginIpDelayAfterFailures;
+
+  it('should not delay below the failure threshold', () => {
+    expect(computeDelaySeconds(0)).toBe(0);
+    expect(computeDelaySeconds(threshold - 1)).toBe(0);
+  });
+
+  it('should double the delay with every further failure', () => {
+    expect(computeDelaySeconds(threshold)).toBe(1);
+    expect(computeDelaySeconds(threshold + 1)).toBe(2);
+    expect(computeDelaySeconds(threshold + 4)).toBe(16);
+  });
+
+  it('should cap the delay', () => {
+    expect(computeDelaySeconds(threshold + 100)).toBe(authConfig.loginMaxDelaySeconds);
+  });
+});
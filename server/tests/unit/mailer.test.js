@@ -0,0 +1,70 @@
+// mailer.test.js - Unit tests for the mail transport abstraction
+
+const os = require('os');
+const path = require('path');
+const {
+  createOutboxTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+} = require('../../src/utils/mailer');
+
+describe('outbox transport', () => {
+  let transport;
+  const originalTransport = getTransport();
+
+  beforeEach(async () => {
+    transport = createOutboxTransport(path.join(os.tmpdir(), `mailer-test-${process.pid}`));
+    await transport.clear();
+    setTransport(transport);
+  });
+
+  afterEach(async () => {
+    await transport.clear();
+    setTransport(originalTransport);
+  });
+
+  it('should write sent messages to the outbox directory', async () => {
+    await sendMail({ to: 'user@example.com', subject: 'Hello', text: 'First' });
+    await sendMail({ to: 'user@example.com', subject: 'Again', text: 'Second' });
+
+    const messages = await transport.read();
+
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toMatchObject({ to: 'user@example.com', subject: 'Hello', text: 'First' });
+    expect(messages[0]).toHaveProperty('from');
+    expect(messages[0]).toHaveProperty('sentAt');
+  });
+
+  it('should return an empty list when nothing was sent', async () => {
+    expect(await transport.read()).toEqual([]);
+  });
+});
+
+describe('setTransport', () => {
+  const originalTransport = getTransport();
+
+  afterEach(() => {
+    setTransport(originalTransport);
+  });
+
+  it('should deliver through a custom transport', async () => {
+    const send = jest.fn().mockResolvedValue({ id: 'custom' });
+    setTransport({ name: 'custom', send });
+
+    const result = await sendMail({ to: 'user@example.com', subject: 'Hi', text: 'Body' });
+
+    expect(result).toEqual({ id: 'custom' });
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'user@example.com', subject: 'Hi' }));
+  });
+
+  it('should reject transports without a send method', () => {
+    expect(() => setTransport({})).toThrow('Mail transport must implement send(message)');
+  });
+
+  it('should propagate delivery errors', async () => {
+    setTransport({ name: 'broken', send: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+
+    await expect(sendMail({ to: 'user@example.com', subject: 'Hi' })).rejects.toThrow('SMTP down');
+  });
+});
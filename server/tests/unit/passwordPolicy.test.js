@@ -0,0 +1,109 @@
+// passwordPolicy.test.js - Unit tests for the password policy
+
+const crypto = require('crypto');
+const {
+  createBreachedPasswordList,
+  parseBreachedPasswordList,
+  getBreachedPasswordList,
+  validatePassword,
+} = require('../../src/utils/passwordPolicy');
+
+const sha1 = (value) => crypto.createHash('sha1').update(value).digest('hex').toUpperCase();
+const rules = (violations) => violations.map(violation => violation.rule);
+
+describe('parseBreachedPasswordList', () => {
+  it('should accept plain passwords and SHA-1 lines, skipping comments', () => {
+    const list = parseBreachedPasswordList([
+      '# comment',
+      'hunter2',
+      '',
+      `${sha1('CorrectHorse')}:42`,
+      sha1('Tr0ub4dor&3'),
+    ].join('\n'));
+
+    expect(list.size).toBe(3);
+    expect(list.has('hunter2')).toBe(true);
+    expect(list.has('CorrectHorse')).toBe(true);
+    expect(list.has('Tr0ub4dor&3')).toBe(true);
+    expect(list.has('something-else')).toBe(false);
+  });
+
+  it('should match plain entries regardless of case', () => {
+    const list = parseBreachedPasswordList('Dragon\n');
+
+    expect(list.has('dragon')).toBe(true);
+    expect(list.has('DRAGON')).toBe(true);
+  });
+});
+
+describe('createBreachedPasswordList', () => {
+  it('should find every entry of a larger list', () => {
+    const passwords = Array.from({ length: 500 }, (_, i) => `password-${i}`);
+    const list = createBreachedPasswordList(
+      passwords.map(password => crypto.createHash('sha1').update(password).digest())
+    );
+
+    expect(list.size).toBe(500);
+    expect(passwords.every(password => list.has(password))).toBe(true);
+    expect(list.has('password-500')).toBe(false);
+  });
+
+  it('should deduplicate entries', () => {
+    const entry = crypto.createHash('sha1').update('same').digest();
+
+    expect(createBreachedPasswordList([entry, entry]).size).toBe(1);
+  });
+});
+
+describe('getBreachedPasswordList', () => {
+  it('should load the bundled list', () => {
+    const list = getBreachedPasswordList();
+
+    expect(list.size).toBeGreaterThan(0);
+    expect(list.has('password123')).toBe(true);
+  });
+});
+
+describe('validatePassword', () => {
+  const breachedPasswords = parseBreachedPasswordList('letmein1\n');
+  const check = (password, identity) => rules(validatePassword(password, identity, { breachedPasswords }));
+
+  it('should accept a strong password', () => {
+    expect(check('Sturdy-lantern-42', { username: 'someone', email: 'someone@example.com' })).toEqual([]);
+  });
+
+  it('should enforce the minimum length', () => {
+    expect(check('Ab1-')).toEqual(['minLength']);
+  });
+
+  it('should enforce the bcrypt byte limit', () => {
+    expect(check(`Aa1-${'x'.repeat(69)}`)).toEqual(['maxLength']);
+    expect(check(`Aa1-${'x'.repeat(68)}`)).toEqual([]);
+  });
+
+  it('should require a mix of character classes', () => {
+    expect(check('onlylowercase')).toEqual(['characterClasses']);
+    expect(check('lowercase and spaces')).toEqual([]);
+  });
+
+  it('should refuse passwords containing the username or email', () => {
+    expect(check('xxJohnDoe99', { username: 'johndoe' })).toEqual(['personalInfo']);
+    expect(check('jane.smith-2024', { email: 'jane.smith@example.com' })).toEqual(['personalInfo']);
+  });
+
+  it('should refuse breached passwords', () => {
+    expect(check('LetMeIn1')).toEqual(['breached']);
+  });
+
+  it('should report every failing rule with its field', () => {
+    const violations = validatePassword('abc', { username: 'abc' }, { breachedPasswords, path: 'newPassword' });
+
+    expect(rules(violations)).toEqual(['minLength', 'characterClasses', 'personalInfo']);
+    expect(violations.every(violation => violation.path === 'newPassword' && violation.msg)).toBe(true);
+  });
+
+  it('should require a password', () => {
+    expect(check(undefined)).toEqual(['required']);
+    expect(check('')).toEqual(['required']);
+  });
+});
@@ -0,0 +1,127 @@
+// permissions.test.js - Unit tests for permission checks
+
+const { hasPermission, scopesGrant, getOwnerId, can, canViewPost } = require('../../src/utils/permissions');
+
+describe('hasPermission', () => {
+  it('should grant permissions mapped to a role', () => {
+    expect(hasPermission('user', 'post:create')).toBe(true);
+    expect(hasPermission('admin', 'user:deactivate')).toBe(true);
+  });
+
+  it('should deny permissions not mapped to a role', () => {
+    expect(hasPermission('user', 'user:deactivate')).toBe(false);
+    expect(hasPermission('unknown', 'post:create')).toBe(false);
+  });
+});
+
+describe('scopesGrant', () => {
+  it('should grant permissions mapped to one of the scopes', () => {
+    expect(scopesGrant(['posts:read', 'posts:write'], 'post:create')).toBe(true);
+  });
+
+  it('should deny permissions no scope maps', () => {
+    expect(scopesGrant(['posts:read'], 'post:create')).toBe(false);
+    expect(scopesGrant(['posts:write'], 'user:update:own')).toBe(false);
+    expect(scopesGrant(['unknown'], 'post:create')).toBe(false);
+  });
+});
+
+describe('getOwnerId', () => {
+  it('should use the author of a post', () => {
+    expect(getOwnerId({ _id: 'p1', author: 'u1' })).toBe('u1');
+  });
+
+  it('should handle populated authors', () => {
+    expect(getOwnerId({ author: { _id: 'u1', username: 'someone' } })).toBe('u1');
+  });
+
+  it('should treat a user as owning itself', () => {
+    expect(getOwnerId({ _id: 'u1', username: 'someone' })).toBe('u1');
+  });
+
+  it('should return null without a resource', () => {
+    expect(getOwnerId(null)).toBeNull();
+  });
+});
+
+describe('can', () => {
+  const author = { userId: 'u1', role: 'user' };
+  const other = { userId: 'u2', role: 'user' };
+  const admin = { userId: 'a1', role: 'admin' };
+  const post = { _id: 'p1', author: 'u1' };
+
+  it('should allow unscoped permissions granted to the role', () => {
+    expect(can(author, 'post:create')).toBe(true);
+    expect(can(author, 'user:deactivate')).toBe(false);
+  });
+
+  it('should allow owners to act on their own resources', () => {
+    expect(can(author, 'post:update', post)).toBe(true);
+    expect(can(author, 'post:delete', post)).toBe(true);
+  });
+
+  it('should deny other users', () => {
+    expect(can(other, 'post:update', post)).toBe(false);
+  });
+
+  it('should require a resource for ownership rules', () => {
+    expect(can(author, 'post:update')).toBe(false);
+  });
+
+  it('should let admins override ownership', () => {
+    expect(can(admin, 'post:update', post)).toBe(true);
+    expect(can(admin, 'post:delete', post)).toBe(true);
+  });
+
+  it('should deny users without a role', () => {
+    expect(can({ userId: 'u1' }, 'post:create')).toBe(false);
+    expect(can(null, 'post:create')).toBe(false);
+  });
+
+  it('should limit personal access tokens to their scopes', () => {
+    const writer = { ...author, scopes: ['posts:write'] };
+    const reader = { ...author, scopes: ['posts:read'] };
+
+    expect(can(writer, 'post:create')).toBe(true);
+    expect(can(writer, 'post:update', post)).toBe(true);
+    expect(can(writer, 'user:update:own')).toBe(false);
+    expect(can(reader, 'post:create')).toBe(false);
+  });
+
+  it('should not let scopes exceed the role', () => {
+    const writer = { ...other, scopes: ['posts:write'] };
+
+    expect(can(writer, 'post:update', post)).toBe(false);
+  });
+});
+
+describe('canViewPost', () => {
+  const author = { userId: 'u1', role: 'user' };
+  const other = { userId: 'u2', role: 'user' };
+  const admin = { userId: 'a1', role: 'admin' };
+
+  it('should show published posts to everyone', () => {
+    const post = { author: 'u1', status: 'published' };
+
+    expect(canViewPost(undefined, post)).toBe(true);
+    expect(canViewPost(other, post)).toBe(true);
+  });
+
+  it('should show unpublished posts to their author and admins only', () => {
+    for (const status of ['draft', 'scheduled', 'archived']) {
+      const post = { author: { _id: 'u1', username: 'alice' }, status };
+
+      expect(canViewPost(undefined, post)).toBe(false);
+      expect(canViewPost(other, post)).toBe(false);
+      expect(canViewPost(author, post)).toBe(true);
+      expect(canViewPost(admin, post)).toBe(true);
+    }
+  });
+
+  it('should show unpublished posts to their author whatever the token scopes', () => {
+    const post = { author: 'u1', status: 'draft' };
+
+    expect(canViewPost({ ...author, scopes: ['posts:read'] }, post)).toBe(true);
+    expect(canViewPost({ ...other, scopes: ['posts:read'] }, post)).toBe(false);
+  });
+});
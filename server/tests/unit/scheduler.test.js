@@ -0,0 +1,63 @@
+// scheduler.test.js - Unit tests for periodic jobs
+
+const { scheduleJob, stopJobs } = require('../../src/utils/scheduler');
+
+describe('scheduleJob', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    stopJobs();
+    jest.useRealTimers();
+  });
+
+  it('should run the task every interval', async () => {
+    const task = jest.fn().mockResolvedValue();
+    scheduleJob('tick', 1000, task);
+
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it('should skip a run while the previous one is in progress', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    scheduleJob('slow', 1000, task);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    finish();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep running after a failure', async () => {
+    const task = jest.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValue();
+    scheduleJob('flaky', 1000, task);
+
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it('should refuse two jobs with the same name', () => {
+    scheduleJob('unique', 1000, jest.fn());
+
+    expect(() => scheduleJob('unique', 1000, jest.fn())).toThrow('already scheduled');
+  });
+
+  it('should stop a job by name', async () => {
+    const task = jest.fn().mockResolvedValue();
+    scheduleJob('stopped', 1000, task);
+
+    stopJobs('stopped');
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(task).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,55 @@
+// streams.test.js - Unit tests for streamed response helpers
+
+const { EventEmitter } = require('events');
+const { writeChunk } = require('../../src/utils/streams');
+
+const createResponse = ({ accepts = true } = {}) => {
+  const res = new EventEmitter();
+  res.destroyed = false;
+  res.write = jest.fn(() => accepts);
+  return res;
+};
+
+describe('writeChunk', () => {
+  it('should resolve right away while the client keeps up', async () => {
+    const res = createResponse();
+
+    await writeChunk(res, 'data');
+
+    expect(res.write).toHaveBeenCalledWith('data');
+  });
+
+  it('should wait for drain when the buffer is full', async () => {
+    const res = createResponse({ accepts: false });
+    let written = false;
+
+    const pending = writeChunk(res, 'data').then(() => { written = true; });
+    await Promise.resolve();
+    expect(written).toBe(false);
+
+    res.emit('drain');
+    await pending;
+
+    expect(written).toBe(true);
+    expect(res.listenerCount('close')).toBe(0);
+  });
+
+  it('should reject when the client disconnects while waiting', async () => {
+    const res = createResponse({ accepts: false });
+
+    const pending = writeChunk(res, 'data');
+    res.destroyed = true;
+    res.emit('close');
+
+    await expect(pending).rejects.toThrow('Client disconnected');
+    expect(res.listenerCount('drain')).toBe(0);
+  });
+
+  it('should reject without writing once the client is gone', async () => {
+    const res = createResponse();
+    res.destroyed = true;
+
+    await expect(writeChunk(res, 'data')).rejects.toThrow('Client disconnected');
+    expect(res.write).not.toHaveBeenCalled();
+  });
+});
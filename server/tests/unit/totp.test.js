@@ -0,0 +1,107 @@
+// totp.test.js - Unit tests for the RFC 6238 TOTP implementation
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+} = require('../../src/utils/totp');
+
+// RFC 6238 Appendix B test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('should encode RFC 4648 test vectors', () => {
+    expect(base32Encode(Buffer.from(''))).toBe('');
+    expect(base32Encode(Buffer.from('f'))).toBe('MY');
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+  });
+
+  it('should round-trip arbitrary data', () => {
+    const data = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(base32Decode(base32Encode(data))).toEqual(data);
+  });
+
+  it('should ignore case, padding and spaces when decoding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('should reject invalid characters', () => {
+    expect(() => base32Decode('MZ1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateTotp', () => {
+  it.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+  ])('should match the RFC 6238 SHA-1 vector at %i', (seconds, expected) => {
+    expect(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(expected);
+  });
+
+  it('should produce 6 digit codes by default', () => {
+    expect(generateTotp(RFC_SECRET, { time: 59 * 1000 })).toBe('287082');
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1111111111 * 1000;
+
+  it('should return the time step for a valid code', () => {
+    const code = generateTotp(RFC_SECRET, { time });
+    expect(verifyTotp(RFC_SECRET, code, { time })).toBe(Math.floor(1111111111 / 30));
+  });
+
+  it('should tolerate one step of clock drift', () => {
+    const previous = generateTotp(RFC_SECRET, { time: time - 30 * 1000 });
+    expect(verifyTotp(RFC_SECRET, previous, { time })).not.toBeNull();
+  });
+
+  it('should reject codes outside the window', () => {
+    const old = generateTotp(RFC_SECRET, { time: time - 90 * 1000 });
+    expect(verifyTotp(RFC_SECRET, old, { time })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '12ab56', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { time })).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  it('should generate a random 160-bit base32 secret', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(secret).not.toBe(generateSecret());
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('should build an authenticator URI', () => {
+    const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'user@example.com', issuer: 'My App' });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/My%20App%3Auser%40example\.com\?/);
+    expect(uri).toContain('secret=ABC');
+    expect(uri).toContain('issuer=My+App');
+    expect(uri).toContain('period=30');
+  });
+});
+
+describe('generateRecoveryCodes', () => {
+  it('should generate unique formatted codes', () => {
+    const codes = generateRecoveryCodes(10);
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+  });
+});
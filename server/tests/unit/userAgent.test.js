@@ -0,0 +1,39 @@
+// userAgent.test.js - Unit tests for user agent parsing
+
+const { describeDevice } = require('../../src/utils/userAgent');
+
+describe('describeDevice', () => {
+  it('should describe desktop browsers', () => {
+    expect(describeDevice(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    )).toBe('Chrome on Windows');
+    expect(describeDevice(
+      'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0'
+    )).toBe('Firefox on Linux');
+    expect(describeDevice(
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15'
+    )).toBe('Safari on macOS');
+  });
+
+  it('should prefer derived browsers over the engines they mimic', () => {
+    expect(describeDevice(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0'
+    )).toBe('Edge on Windows');
+  });
+
+  it('should detect mobile platforms', () => {
+    expect(describeDevice(
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1'
+    )).toBe('Safari on iOS');
+    expect(describeDevice(
+      'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+    )).toBe('Chrome on Android');
+  });
+
+  it('should fall back for scripts and unknown agents', () => {
+    expect(describeDevice('curl/8.4.0')).toBe('curl');
+    expect(describeDevice('')).toBe('Unknown device');
+    expect(describeDevice(undefined)).toBe('Unknown device');
+    expect(describeDevice('SomethingElse/1.0')).toBe('Unknown device');
+  });
+});
@@ -0,0 +1,117 @@
+// views.test.js - Unit tests for deduplicated view counting
+
+jest.mock('../../src/models/Post', () => ({
+  updateOne: jest.fn(),
+  bulkWrite: jest.fn(),
+}));
+
+const Post = require('../../src/models/Post');
+const viewConfig = require('../../src/config/views');
+const { getViewerKey, isBot, recordView, flushViews } = require('../../src/utils/views');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+const createRequest = ({ userId, ip = '203.0.113.7', userAgent = BROWSER } = {}) => ({
+  ip,
+  user: userId ? { userId } : undefined,
+  get: jest.fn(header => (header === 'user-agent' ? userAgent : undefined)),
+});
+
+let postCounter = 0;
+const createPost = (authorId = 'author-1') => {
+  postCounter += 1;
+  return { _id: `post-${postCounter}`, author: { _id: authorId, username: 'author' } };
+};
+
+beforeEach(async () => {
+  Post.updateOne.mockReset().mockResolvedValue({});
+  Post.bulkWrite.mockReset().mockResolvedValue({});
+  viewConfig.bufferViews = true;
+  // Start every test with an empty buffer
+  await flushViews();
+  Post.bulkWrite.mockClear();
+});
+
+describe('getViewerKey', () => {
+  it('should use the user ID for signed-in viewers', () => {
+    expect(getViewerKey(createRequest({ userId: 'user-1' }))).toBe('user:user-1');
+  });
+
+  it('should hash the IP address and user agent of anonymous viewers', () => {
+    const key = getViewerKey(createRequest());
+
+    expect(key).toMatch(/^anon:[0-9a-f]{64}$/);
+    expect(key).not.toContain('203.0.113.7');
+    expect(getViewerKey(createRequest({ userAgent: 'Other browser' }))).not.toBe(key);
+  });
+});
+
+describe('isBot', () => {
+  it('should detect crawlers, scripts and missing user agents', () => {
+    expect(isBot('Mozilla/5.0 (compatible; Googlebot/2.1)')).toBe(true);
+    expect(isBot('curl/8.4.0')).toBe(true);
+    expect(isBot(undefined)).toBe(true);
+    expect(isBot(BROWSER)).toBe(false);
+  });
+});
+
+describe('recordView', () => {
+  it('should count a viewer once within the dedupe window', async () => {
+    const post = createPost();
+
+    expect(recordView(createRequest(), post)).toBe(true);
+    expect(recordView(createRequest(), post)).toBe(false);
+    expect(recordView(createRequest({ ip: '198.51.100.1' }), post)).toBe(true);
+
+    await flushViews();
+
+    expect(Post.bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: post._id }, update: { $inc: { viewCount: 2 } } } },
+    ], { ordered: false });
+  });
+
+  it('should count the viewer again after the window', () => {
+    jest.useFakeTimers();
+    try {
+      const post = createPost();
+      const req = createRequest({ userId: 'user-2' });
+
+      expect(recordView(req, post)).toBe(true);
+      jest.advanceTimersByTime(viewConfig.dedupeWindowMinutes * 60 * 1000);
+      expect(recordView(req, post)).toBe(true);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should ignore the author and bots', () => {
+    const post = createPost('author-2');
+
+    expect(recordView(createRequest({ userId: 'author-2' }), post)).toBe(false);
+    expect(recordView(createRequest({ userAgent: 'Twitterbot/1.0' }), post)).toBe(false);
+  });
+
+  it('should write immediately with $inc when buffering is off', async () => {
+    viewConfig.bufferViews = false;
+    const post = createPost();
+
+    recordView(createRequest({ userId: 'user-3' }), post);
+
+    expect(Post.updateOne).toHaveBeenCalledWith({ _id: post._id }, { $inc: { viewCount: 1 } });
+    expect(await flushViews()).toBe(0);
+  });
+});
+
+describe('flushViews', () => {
+  it('should keep increments that failed to write for the next flush', async () => {
+    const post = createPost();
+    recordView(createRequest({ userId: 'user-4' }), post);
+    Post.bulkWrite.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(flushViews()).rejects.toThrow('connection lost');
+    expect(await flushViews()).toBe(1);
+    expect(Post.bulkWrite).toHaveBeenLastCalledWith([
+      { updateOne: { filter: { _id: post._id }, update: { $inc: { viewCount: 1 } } } },
+    ], { ordered: false });
+  });
+});